@@ -0,0 +1,165 @@
+/**
+ * @file Programmatic API: create Aether CMS projects from Node.js.
+ * The CLI is a thin layer over these functions.
+ * @module api
+ */
+
+import fs from "fs"
+import path from "path"
+import {
+    finishProject,
+    getChannelTarget,
+    getDefaultOptions,
+    installProject,
+    resolveLocalSource,
+    resolveRepoSource,
+    validateProjectName,
+    validateTarget,
+} from "./helpers.js"
+import { loadConfig, PROJECT_CONFIG_FILE } from "./config.js"
+import { InvalidOptionsError } from "./errors.js"
+import { createLogger } from "./logger.js"
+import { assertValidProtectedPaths } from "./protected-paths.js"
+import { resolveTemplateSource } from "./template-cache.js"
+import { UPDATE_CHANNELS } from "./versions.js"
+
+export * from "./errors.js"
+
+/**
+ * Create an Aether CMS project.
+ * Never exits the process or changes its working directory: failures are thrown as
+ * AetherError subclasses (with a `code`) after the installation has been rolled back.
+ * @param {Object} options - The CLI flags in camelCase (version, tag, hash, repo, force, adminUser,
+ * title, theme, starter, use, skipInstall, skipGit, remoteUrl, push, ...), plus:
+ * @param {string} options.projectName - Directory to create, relative to cwd ("." for cwd itself)
+ * @param {string} [options.cwd] - Base directory for relative paths (default: process.cwd())
+ * @param {string} [options.config] - JSON config file whose options apply unless given here
+ * @param {boolean} [options.rc] - Also read defaults from ~/.aetherrc (default: false)
+ * @param {Function} [options.prompt] - async (question) => answer. Without it nothing is asked
+ * and flags or safe defaults are used
+ * @param {Function} [options.onProgress] - Receives `{ type: "log", level, message }` and
+ * `{ type: "step", step, status }` events
+ * @param {boolean} [options.silent] - Do not write messages and command output to the console
+ * @param {string} [options.logLevel] - "quiet", "normal" (default) or "verbose"
+ * @param {string} [options.channel] - Update channel saved in settings.json; without a version, tag
+ * or hash, the newest release of a stable or beta channel is installed
+ * @param {Array<{path: string, strategy: string}>} [options.protectedPaths] - Paths added to the default
+ * protected paths, or changing their strategy (ours, theirs, union or json)
+ * @param {AbortSignal} [options.signal] - Aborting rolls the installation back
+ * @returns {Promise<Object>} The project: projectName, path, packageName, installedVersion,
+ * installedCommit, repoUrl, packageManager, theme, starter, adminCredentials, git and pendingSteps
+ * @throws {AetherError} InvalidOptionsError, TargetNotFoundError, DirectoryConflictError,
+ * InstallStepError or InstallAbortedError
+ */
+export async function createAetherProject(options = {}) {
+    const settings = normalizeOptions(options)
+
+    if (!settings.projectName) {
+        throw new InvalidOptionsError("Please specify the project name")
+    }
+
+    // "." uses the name of the current directory
+    const projectName = settings.projectName === "." ? path.basename(settings.cwd) : settings.projectName
+    if (!validateProjectName(projectName)) {
+        throw new InvalidOptionsError("Invalid project name. Use only letters, numbers, hyphens, and underscores.")
+    }
+
+    // Resolve the template source: refreshed cache, stale cache when offline, or the repository itself
+    settings.templateSource = resolveTemplateSource(settings.repo, settings)
+    settings.log.debug(`Template source: ${settings.templateSource}`)
+
+    if (settings.channel && !UPDATE_CHANNELS.includes(settings.channel)) {
+        throw new InvalidOptionsError(
+            `Unknown update channel '${settings.channel}'. Use one of: ${UPDATE_CHANNELS.join(", ")}`
+        )
+    }
+    assertValidProtectedPaths(settings.protectedPaths)
+
+    let targetInfo = determineTarget(settings)
+    if (targetInfo.target !== "latest") {
+        await validateTarget(targetInfo.target, targetInfo.targetType, settings.templateSource, settings.log)
+    } else if (settings.channel) {
+        // Start from the newest release of the chosen channel (not a pinned tag: aether.config.json keeps the channel)
+        targetInfo = getChannelTarget(settings.channel, settings.templateSource, settings.log)
+        settings.channelTag = targetInfo.targetType === "tag" ? targetInfo.target : null
+    }
+
+    return installProject({ ...settings, ...targetInfo })
+}
+
+/**
+ * Complete the steps skipped with skipInstall/skipGit in an existing project
+ * @param {Object} options - Same options as createAetherProject; cwd is the project directory,
+ * whose aether.config.json is used as config file by default
+ * @returns {Promise<{path: string, completedSteps: string[], pendingSteps: string[]}>}
+ * @throws {AetherError} NotAProjectError, GitRepositoryExistsError, InvalidOptionsError or InstallStepError
+ */
+export async function finishAetherProject(options = {}) {
+    const projectConfig = path.join(path.resolve(options.cwd || process.cwd()), PROJECT_CONFIG_FILE)
+
+    return finishProject(
+        normalizeOptions({
+            config: fs.existsSync(projectConfig) ? projectConfig : null,
+            ...options,
+            // Only skip what is explicitly asked now, not what the configuration skipped at creation
+            skipInstall: options.skipInstall === true,
+            skipGit: options.skipGit === true,
+        })
+    )
+}
+
+/**
+ * Options that together choose what to install
+ */
+const TARGET_KEYS = ["version", "tag", "hash", "channel"]
+
+/**
+ * Fill in defaults and make every path absolute, without touching process.cwd().
+ * Precedence: defaults < ~/.aetherrc < config file < options given (undefined means not given).
+ * The target is one choice: giving any of version, tag, hash or channel ignores all of them in the config.
+ * @param {Object} options - Options given by the caller
+ * @returns {Object} The options used internally
+ */
+function normalizeOptions(options) {
+    const cwd = path.resolve(options.cwd || process.cwd())
+    const resolvePath = (file) => (file ? path.resolve(cwd, file) : null)
+
+    const config = loadConfig({ rc: options.rc === true, configFile: resolvePath(options.config) })
+    const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    if (TARGET_KEYS.some((key) => key in given)) {
+        TARGET_KEYS.forEach((key) => delete config[key])
+    }
+    const merged = { ...getDefaultOptions(), ...config, ...given }
+
+    return {
+        ...merged,
+        cwd,
+        repo: resolveRepoSource(merged.repo, cwd),
+        theme: resolveLocalSource(merged.theme, cwd),
+        starter: resolveLocalSource(merged.starter, cwd),
+        envFile: resolvePath(merged.envFile),
+        settingsFile: resolvePath(merged.settingsFile),
+        // Internally prompts are asked through `question`, only when interactive
+        question: options.prompt || null,
+        interactive: Boolean(options.prompt) && options.interactive !== false,
+        log: createLogger({ onProgress: options.onProgress, silent: options.silent, level: options.logLevel }),
+    }
+}
+
+/**
+ * Work out what to install. Priority: hash > tag > version
+ * @param {Object} options - Normalized options
+ * @returns {{targetType: string, target: string}}
+ */
+function determineTarget(options) {
+    if (options.hash) {
+        return { targetType: "hash", target: options.hash }
+    }
+    if (options.tag) {
+        return { targetType: "tag", target: options.tag }
+    }
+    if (options.version && options.version !== "latest") {
+        return { targetType: "version", target: options.version }
+    }
+    return { targetType: "latest", target: "latest" }
+}
@@ -0,0 +1,186 @@
+/**
+ * @file Configuration files: user defaults (~/.aetherrc), --config files and the
+ * aether.config.json written into every project
+ * @module config
+ */
+
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { InvalidOptionsError } from "./errors.js"
+import { isGitUrl, isLocalPath } from "./template-cache.js"
+
+/**
+ * User-level defaults, in the home directory
+ */
+export const RC_FILE = ".aetherrc"
+
+/**
+ * The project configuration, read by check-updates and update-aether
+ */
+export const PROJECT_CONFIG_FILE = "aether.config.json"
+
+/**
+ * Options a configuration file may set (the CLI flags in camelCase), with their types
+ */
+const CONFIG_SCHEMA = {
+    version: "string",
+    tag: "string",
+    hash: "string",
+    repo: "string",
+    remoteName: "string",
+    branch: "string",
+    upstreamBranch: "string",
+    offline: "boolean",
+    cache: "boolean",
+    refreshCache: "boolean",
+    fullHistory: "boolean",
+    keepOnFailure: "boolean",
+    force: "boolean",
+    adminUser: "string",
+    port: "string|number",
+    siteUrl: "string",
+    nodeEnv: "string",
+    envFile: "string",
+    title: "string",
+    description: "string",
+    postsPerPage: "string|number",
+    channel: "string",
+    theme: "string",
+    settings: "object",
+    settingsFile: "string",
+    protectedPaths: "array",
+    starter: "string",
+    use: "string",
+    skipInstall: "boolean",
+    skipGit: "boolean",
+    gitRemote: "boolean",
+    remoteUrl: "string",
+    push: "boolean",
+}
+
+/**
+ * Options that can be local paths, resolved relative to the file that sets them
+ */
+const PATH_KEYS = ["repo", "theme", "starter", "envFile", "settingsFile"]
+
+/**
+ * Options written to aether.config.json: what defines the project,
+ * not one-off or machine-specific choices (force, offline, remote URL, secrets...)
+ */
+const PROJECT_CONFIG_KEYS = [
+    "repo",
+    "remoteName",
+    "branch",
+    "upstreamBranch",
+    "version",
+    "tag",
+    "hash",
+    "channel",
+    "use",
+    "fullHistory",
+    "theme",
+    "starter",
+    "title",
+    "description",
+    "postsPerPage",
+    "settings",
+    "protectedPaths",
+    "adminUser",
+    "port",
+    "siteUrl",
+    "nodeEnv",
+]
+
+/**
+ * Load the configuration files. Later sources win: ~/.aetherrc, then the --config file.
+ * @param {Object} options - Which files to read
+ * @param {boolean} options.rc - Whether to read ~/.aetherrc
+ * @param {string|null} options.configFile - Absolute path of the --config file
+ * @returns {Object} The merged options from the files
+ */
+export function loadConfig({ rc = false, configFile = null } = {}) {
+    let config = {}
+
+    const rcFile = path.join(os.homedir(), RC_FILE)
+    if (rc && fs.existsSync(rcFile)) {
+        config = { ...config, ...readConfigFile(rcFile) }
+    }
+
+    if (configFile) {
+        if (!fs.existsSync(configFile)) {
+            throw new InvalidOptionsError(`Config file not found: ${configFile}`)
+        }
+        config = { ...config, ...readConfigFile(configFile) }
+    }
+
+    return config
+}
+
+/**
+ * Read and validate one configuration file
+ * @param {string} file - Absolute path of the file
+ * @returns {Object} The options it sets, with local paths made absolute
+ */
+function readConfigFile(file) {
+    let config
+    try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"))
+    } catch (error) {
+        throw new InvalidOptionsError(`Could not read config file ${file}: ${error.message}`)
+    }
+
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+        throw new InvalidOptionsError(`Config file ${file} must contain a JSON object`)
+    }
+
+    const errors = []
+    Object.entries(config).forEach(([key, value]) => {
+        const type = CONFIG_SCHEMA[key]
+        if (!type) {
+            errors.push(`unknown option "${key}"`)
+        } else if (value !== null && !type.split("|").includes(Array.isArray(value) ? "array" : typeof value)) {
+            errors.push(`"${key}" must be a ${type.replace("|", " or ")}`)
+        }
+    })
+    if (errors.length > 0) {
+        throw new InvalidOptionsError(`Invalid config file ${file}:\n  - ${errors.join("\n  - ")}`, { errors })
+    }
+
+    // Local paths are relative to the config file, not to where the command runs
+    const baseDir = path.dirname(file)
+    PATH_KEYS.filter((key) => typeof config[key] === "string").forEach((key) => {
+        const value = config[key]
+        // Themes and starters can also be names, which are only paths when written as one
+        const isPath = key === "theme" || key === "starter" ? isLocalPath(value) : !isGitUrl(value)
+        if (isPath && (key.endsWith("File") || fs.existsSync(path.resolve(baseDir, value)))) {
+            config[key] = path.resolve(baseDir, value)
+        }
+    })
+
+    return config
+}
+
+/**
+ * Write the effective configuration of a new project to aether.config.json.
+ * The file can be passed to --config to scaffold an identical project: the settings
+ * preset is inlined as "settings" so that it does not depend on the preset file.
+ * @param {string} targetPath - The project directory
+ * @param {Object} options - Installation options
+ * @returns {Object} The written configuration
+ */
+export function writeProjectConfig(targetPath, options) {
+    const effective = {
+        ...options,
+        use: options.packageManager,
+        settings: Object.keys(options.settingsOverrides || {}).length > 0 ? options.settingsOverrides : null,
+    }
+
+    const config = Object.fromEntries(
+        PROJECT_CONFIG_KEYS.filter((key) => effective[key] != null).map((key) => [key, effective[key]])
+    )
+
+    fs.writeFileSync(path.join(targetPath, PROJECT_CONFIG_FILE), JSON.stringify(config, null, 2) + "\n")
+
+    return config
+}
@@ -6,31 +6,21 @@
  */
 
 import readline from "readline"
-import {
-    checkNodeVersion,
-    parseArguments,
-    showHelp,
-    validateProjectName,
-    validateTarget,
-    installProject,
-} from "./helpers.js"
-
-// Create readline interface at the top level
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-})
-
-// Promisify the question method
-const question = (query) => new Promise((resolve) => rl.question(query, resolve))
+import { checkNodeVersion, parseArguments, showHelp } from "./helpers.js"
+import { createAetherProject, finishAetherProject, InvalidOptionsError } from "./api.js"
+import { getPackageManager } from "./package-managers.js"
 
 /**
  * The main function to initialize a new Aether CMS project.
  */
 async function main() {
+    let rl = null
+    let json = false
+
     try {
         // Parse and validate input
         const options = parseArguments()
+        json = options.json
 
         if (options.help) {
             showHelp()
@@ -38,54 +28,140 @@ async function main() {
         }
 
         // Check if the project name is provided
-        if (!options.projectName) {
-            console.error("❌ Please specify the project name")
-            console.log("Usage: npx create-aether-cms my-cms-site")
-            process.exit(1)
+        if (!options.projectName && options.command !== "finish") {
+            throw new InvalidOptionsError("Please specify the project name. Usage: npx create-aether-cms my-cms-site")
         }
 
-        // Validate project name
-        if (!validateProjectName(options.projectName)) {
-            console.error("❌ Invalid project name. Use only letters, numbers, hyphens, and underscores.")
-            process.exit(1)
+        // Ctrl+C rolls the installation back before exiting
+        const controller = new AbortController()
+        process.once("SIGINT", () => {
+            controller.abort()
+            process.exit(130)
+        })
+
+        rl = createReadline(options)
+        const apiOptions = {
+            ...options,
+            prompt: toQuestion(rl),
+            signal: controller.signal,
+            // In JSON mode every message and step becomes one line on stdout
+            silent: json,
+            onProgress: json ? printJson : undefined,
         }
 
-        // Handle target determination and validation
-        const targetInfo = determineTarget(options)
-        if (targetInfo.target !== "latest") {
-            const isValid = await validateTarget(targetInfo.target, targetInfo.targetType)
-            if (!isValid) process.exit(1)
+        // Complete the steps skipped in an existing project
+        if (options.command === "finish") {
+            const result = await finishAetherProject(apiOptions)
+            if (json) {
+                printJson({ type: "result", success: true, ...result })
+            }
+            return
         }
 
-        // Execute installation - PASS the question function
-        await installProject({
-            ...options,
-            ...targetInfo,
-            question, // Pass the question function to helpers
-        })
+        const project = await createAetherProject(apiOptions)
+
+        if (json) {
+            printJson({ type: "result", success: true, ...project })
+            return
+        }
+
+        console.log(
+            getSuccessMessage(project.projectName, project.path, project.adminCredentials, project.packageManager)
+        )
+        if (project.pendingSteps.length > 0) {
+            const skipped = { install: "dependency installation", git: "git setup" }
+            console.log(`⏭️ Skipped ${project.pendingSteps.map((step) => skipped[step]).join(" and ")}.`)
+            console.log("💡 Run this inside the project to complete it later: npx create-aether-cms finish\n")
+        }
 
         console.log("🎉 Installation completed successfully!")
     } catch (error) {
-        console.error("❌ Installation failed:", error.message)
+        if (json) {
+            printJson({
+                type: "result",
+                success: false,
+                error: { code: error.code || "UNEXPECTED", message: error.message, details: error.details || {} },
+            })
+        } else {
+            console.error("❌ Installation failed:", error.message)
+        }
         process.exit(1)
     } finally {
-        rl.close() // Always close readline interface
+        rl?.close() // Always close readline interface
     }
 }
 
-// TARGET DETERMINATION LOGIC
-function determineTarget(options) {
-    // Priority: hash > tag > version
-    if (options.hash) {
-        return { targetType: "hash", target: options.hash }
-    }
-    if (options.tag) {
-        return { targetType: "tag", target: options.tag }
-    }
-    if (options.version && options.version !== "latest") {
-        return { targetType: "version", target: options.version }
+/**
+ * Write one newline-delimited JSON event to stdout
+ * @param {Object} event - The event
+ */
+function printJson(event) {
+    process.stdout.write(JSON.stringify(event) + "\n")
+}
+
+/**
+ * Create the readline interface, only when something will actually be asked
+ * @param {Object} options - Parsed options
+ * @returns {readline.Interface|null}
+ */
+function createReadline(options) {
+    if (!options.interactive) {
+        return null
     }
-    return { targetType: "latest", target: "latest" }
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    })
+
+    // Readline swallows Ctrl+C while prompting; forward it so the install is rolled back
+    rl.on("SIGINT", () => process.kill(process.pid, "SIGINT"))
+
+    return rl
+}
+
+/**
+ * Promisify the question method
+ * @param {readline.Interface|null} rl - The readline interface
+ * @returns {Function|null} The question function, or null when nothing may be asked
+ */
+function toQuestion(rl) {
+    return rl ? (query) => new Promise((resolve) => rl.question(query, resolve)) : null
+}
+
+/**
+ * Build the message shown after a successful installation
+ * @param {string} projectName - The project name as given ("." for the current directory)
+ * @param {string} targetPath - The project directory
+ * @param {Object} credentials - The admin credentials
+ * @param {string} packageManager - The package manager used
+ * @returns {string} The message
+ */
+function getSuccessMessage(projectName, targetPath, credentials, packageManager) {
+    const commands = getPackageManager(packageManager)
+    // A generated password is only ever displayed here
+    const password = credentials.generated
+        ? `${credentials.password}    # Generated, shown only once: save it now`
+        : "(the password you provided)"
+
+    return `
+🎉 Success! Created ${projectName} at ${targetPath}
+
+🚀 Get started:${projectName === "." ? "" : `
+    cd ${projectName}`}
+    ${commands.start}
+
+🔑 Admin credentials:
+    Username: ${credentials.username}
+    Password: ${password}
+
+🔄 Update commands:
+    ${commands.run} check-updates    # Check for updates
+    ${commands.run} update-aether    # Apply updates safely
+    ${commands.run} rollback-aether  # Restore the state before an update
+
+📚 Documentation: https://aether-cms.pages.dev/
+    `
 }
 
 // Check Node.js version
@@ -0,0 +1,153 @@
+/**
+ * @file Initial admin credentials for new Aether CMS projects
+ * @module credentials
+ */
+
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { InvalidOptionsError } from "./errors.js"
+import { defaultLogger } from "./logger.js"
+
+/**
+ * Where Aether CMS reads its users from, relative to the project root
+ */
+const USERS_FILE = "content/data/users.json"
+
+/**
+ * Key derivation settings for stored password hashes
+ */
+const HASH = {
+    ITERATIONS: 100000,
+    KEY_LENGTH: 64,
+    DIGEST: "sha512",
+}
+
+/**
+ * Minimum accepted password length
+ */
+const MIN_PASSWORD_LENGTH = 8
+
+/**
+ * Resolve the initial admin credentials from flags, prompts or a generated password.
+ * Never falls back to admin/admin.
+ * @param {Object} options - Installation options
+ * @param {string} [options.adminUser] - Username from --admin-user
+ * @param {string} [options.adminPassword] - Password from --admin-password
+ * @param {boolean} options.interactive - Whether prompts may be shown
+ * @param {Function} [options.question] - Prompt function
+ * @param {Object} [options.log] - Logger
+ * @returns {Promise<{username: string, password: string, generated: boolean}>}
+ */
+export async function resolveAdminCredentials(options) {
+    const { question, interactive, log = defaultLogger } = options
+    const canAsk = Boolean(interactive && question)
+
+    let username = options.adminUser?.trim()
+    if (!username && canAsk) {
+        username = (await question("Admin username (admin): ")).trim()
+    }
+    username = username || "admin"
+
+    const usernameError = validateUsername(username)
+    if (usernameError) {
+        throw new InvalidOptionsError(usernameError)
+    }
+
+    if (options.adminPassword) {
+        const passwordError = validatePassword(username, options.adminPassword)
+        if (passwordError) {
+            throw new InvalidOptionsError(passwordError)
+        }
+        return { username, password: options.adminPassword, generated: false }
+    }
+
+    while (canAsk) {
+        const password = await question("Admin password (leave empty to generate one): ")
+        if (!password) {
+            break
+        }
+
+        const passwordError = validatePassword(username, password)
+        if (!passwordError) {
+            return { username, password, generated: false }
+        }
+        log.warn(`⚠️ ${passwordError}`)
+    }
+
+    return { username, password: generatePassword(), generated: true }
+}
+
+/**
+ * Write the admin user, with a hashed password, where Aether CMS expects it
+ * @param {string} targetPath - The project directory
+ * @param {{username: string, password: string}} credentials - The admin credentials
+ * @param {Object} [log] - Logger
+ */
+export function createAdminUser(targetPath, credentials, log = defaultLogger) {
+    const usersFile = path.join(targetPath, USERS_FILE)
+    const { salt, hash } = hashPassword(credentials.password)
+
+    const users = [
+        {
+            id: crypto.randomUUID(),
+            username: credentials.username,
+            password: hash,
+            salt,
+            role: "admin",
+            createdAt: new Date().toISOString(),
+        },
+    ]
+
+    fs.mkdirSync(path.dirname(usersFile), { recursive: true })
+    fs.writeFileSync(usersFile, JSON.stringify(users, null, 2))
+    log.info(`🔑 Created admin user "${credentials.username}"`)
+}
+
+/**
+ * Hash a password with a random salt (PBKDF2)
+ * @param {string} password - The plain-text password
+ * @returns {{salt: string, hash: string}} Hex-encoded salt and hash
+ */
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex")
+    const hash = crypto.pbkdf2Sync(password, salt, HASH.ITERATIONS, HASH.KEY_LENGTH, HASH.DIGEST).toString("hex")
+
+    return { salt, hash }
+}
+
+/**
+ * Generate a random, URL-safe password
+ * @returns {string} A 24 characters password
+ */
+export function generatePassword() {
+    return crypto.randomBytes(18).toString("base64url")
+}
+
+/**
+ * Check a username
+ * @param {string} username - The username to check
+ * @returns {string|null} The problem, or null when valid
+ */
+function validateUsername(username) {
+    if (!/^[a-z0-9._-]{3,32}$/i.test(username)) {
+        return "Admin username must be 3-32 characters: letters, numbers, dots, hyphens and underscores."
+    }
+    return null
+}
+
+/**
+ * Check a password against basic rules
+ * @param {string} username - The admin username
+ * @param {string} password - The password to check
+ * @returns {string|null} The problem, or null when valid
+ */
+function validatePassword(username, password) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Admin password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+    }
+    if (password.toLowerCase() === username.toLowerCase() || password.toLowerCase() === "admin") {
+        return "Admin password must not be the username or 'admin'."
+    }
+    return null
+}
@@ -0,0 +1,98 @@
+/**
+ * @file Errors thrown by create-aether-cms, identified by a stable `code`
+ * @module errors
+ */
+
+/**
+ * Base class of every error thrown on purpose by create-aether-cms
+ */
+export class AetherError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {string} code - Stable identifier, e.g. "INVALID_OPTIONS"
+     * @param {Object} [details] - Extra data about the failure
+     */
+    constructor(message, code, details = {}) {
+        super(message)
+        this.name = this.constructor.name
+        this.code = code
+        this.details = details
+    }
+}
+
+/**
+ * An option has an invalid value (project name, credentials, settings, port...)
+ */
+export class InvalidOptionsError extends AetherError {
+    constructor(message, details) {
+        super(message, "INVALID_OPTIONS", details)
+    }
+}
+
+/**
+ * The requested version or tag does not exist in the template repository
+ */
+export class TargetNotFoundError extends AetherError {
+    /**
+     * @param {string} target - The version or tag
+     * @param {string[]} available - Tags that do exist, newest first
+     */
+    constructor(target, available) {
+        super(`Version/tag '${target}' not found`, "TARGET_NOT_FOUND", { target, available })
+    }
+}
+
+/**
+ * The target directory contains files and --force was not given
+ */
+export class DirectoryConflictError extends AetherError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {string[]} entries - The conflicting files and directories
+     */
+    constructor(message, entries) {
+        super(message, "DIRECTORY_CONFLICT", { entries })
+    }
+}
+
+/**
+ * finish was run outside of a project created by create-aether-cms, or its metadata is incomplete
+ */
+export class NotAProjectError extends AetherError {
+    constructor(message) {
+        super(message, "NOT_A_PROJECT")
+    }
+}
+
+/**
+ * finish was asked to set up git in a project that already has a repository
+ */
+export class GitRepositoryExistsError extends AetherError {
+    constructor() {
+        super("This project already has a git repository.", "GIT_REPOSITORY_EXISTS")
+    }
+}
+
+/**
+ * An installation step failed unexpectedly (git, network, package manager...);
+ * the installation was rolled back unless keepOnFailure
+ */
+export class InstallStepError extends AetherError {
+    /**
+     * @param {string} step - The step that failed
+     * @param {Error} cause - The original error
+     */
+    constructor(step, cause) {
+        super(cause.message, "STEP_FAILED", { step })
+        this.cause = cause
+    }
+}
+
+/**
+ * The installation was aborted through its AbortSignal (Ctrl+C in the CLI)
+ */
+export class InstallAbortedError extends AetherError {
+    constructor() {
+        super("Installation interrupted", "ABORTED")
+    }
+}
@@ -5,45 +5,262 @@
  */
 
 import { execSync } from "child_process"
+import crypto from "crypto"
 import path from "path"
 import fs from "fs"
-import { createUpdateScripts, validateGeneratedScripts } from "./update-scripts.js"
+import os from "os"
+import { pathToFileURL } from "url"
+import { createUpdateScripts, validateGeneratedScripts, DEFAULT_REPO_URL } from "./update-scripts.js"
+import { createTransaction } from "./transaction.js"
+import { PROJECT_CONFIG_FILE, writeProjectConfig } from "./config.js"
+import { MERGE_DRIVERS, renderGitAttributes, resolveProtectedPaths } from "./protected-paths.js"
+import {
+    DirectoryConflictError,
+    GitRepositoryExistsError,
+    InstallAbortedError,
+    InvalidOptionsError,
+    NotAProjectError,
+    TargetNotFoundError,
+} from "./errors.js"
+import { defaultLogger } from "./logger.js"
+import { isGitUrl, isLocalPath } from "./template-cache.js"
+import { resolveThemeSpec, setupTheme } from "./themes.js"
+import { applyStarter, loadStarter } from "./starters.js"
+import { detectPackageManager, getPackageManager } from "./package-managers.js"
+import { selectChannelTag } from "./versions.js"
+import { createAdminUser, resolveAdminCredentials } from "./credentials.js"
+import { assertValidSettings, deepMerge, getDefaultSettings, resolveSettingsOverrides } from "./settings.js"
 
 // ============================================================================
 // 🎯 MAIN ORCHESTRATOR
 // ============================================================================
 
+/**
+ * Install a project from normalized options (see createAetherProject in api.js)
+ * @param {Object} options - Installation options, including cwd, log and the resolved target
+ * @returns {Promise<Object>} The created project
+ */
 export async function installProject(options) {
-    const { projectName, question, target, targetType } = options
-    const targetPath = path.resolve(process.cwd(), projectName)
+    const { projectName, target, targetType, log } = options
+    const targetPath = path.resolve(options.cwd, projectName)
+
+    // "." installs into the current directory, named after it
+    options.packageName = path.basename(targetPath)
+
+    // Validation: only empty directories or directories with harmless files are used without --force
+    const directory = inspectTargetDirectory(targetPath)
+    log.debug(`Target directory ${targetPath}: ${directory.exists ? `${directory.entries.length} entries` : "new"}`)
+    if (directory.unexpected.length > 0 && !options.force) {
+        log.error(`❌ The directory ${projectName} already exists and contains:`)
+        directory.unexpected.slice(0, 20).forEach((entry) => log.error(`  ${entry}`))
+        throw new DirectoryConflictError(
+            `The directory ${projectName} is not empty. ` +
+                "Use an empty directory, or re-run with --force to install anyway.",
+            directory.unexpected
+        )
+    }
+    if (options.skipGit && directory.entries.includes(".git")) {
+        throw new InvalidOptionsError("--skip-git cannot be used in a directory that is already a git repository.")
+    }
 
-    // Validation
-    if (fs.existsSync(targetPath)) {
-        console.error(`❌ The directory ${projectName} already exists.`)
-        process.exit(1)
+    // Validate settings and ask for the admin credentials up front, before the long-running steps
+    options.packageManager = detectPackageManager(options.use)
+    options.themeSpec = resolveThemeSpec(options.theme)
+    options.starterPack = loadStarter(options.starter, log)
+    try {
+        // Precedence: defaults < starter pack < --settings preset < flags
+        options.settingsOverrides = deepMerge(options.starterPack?.settings || {}, resolveSettingsOverrides(options))
+        options.adminCredentials = await resolveAdminCredentials(options)
+        options.envValues = await resolveEnvValues(options)
+    } catch (error) {
+        // A starter cloned from a git URL lives in a temporary directory
+        options.starterPack?.cleanup()
+        throw error
     }
 
-    console.log(`🌳 Creating a new Aether CMS project in ${projectName}...`)
+    log.info(`🌳 Creating a new Aether CMS project in ${projectName === "." ? targetPath : projectName}...`)
 
     if (target !== "latest") {
-        console.log(`🎯 Target: ${targetType} = ${target}`)
+        log.info(`🎯 Target: ${targetType} = ${target}`)
     }
 
-    // Execute installation steps
+    // Execute installation steps as a transaction, rolled back on failure or abort (Ctrl+C)
+    const transaction = createTransaction({ keepOnFailure: options.keepOnFailure, log })
+    const result = { metadata: null, theme: null, git: null }
 
-    // Clone the repository
-    const cloneSuccess = await cloneRepository(targetPath, options)
-    if (!cloneSuccess) {
-        process.exit(1)
+    // Files overwritten in an existing directory are backed up so a rollback can restore them
+    const gitState = directory.exists ? captureGitState(targetPath) : null
+    options.overwriteBackupDir = directory.exists ? fs.mkdtempSync(path.join(os.tmpdir(), "create-aether-cms-")) : null
+    // The project is committed on top of an existing branch, so that pushing it fast-forwards
+    options.previousHead = gitState?.headSha || null
+
+    // Undo actions are synchronous, so the rollback completes even while a step is still running
+    const handleAbort = () => {
+        log.warn("\n🛑 Installation interrupted")
+        transaction.rollback()
+    }
+    options.signal?.addEventListener("abort", handleAbort, { once: true })
+
+    try {
+        if (options.signal?.aborted) {
+            throw new InstallAbortedError()
+        }
+
+        // Clone the repository (step names are part of the --json output)
+        const commit = await transaction.step(
+            "clone",
+            () => cloneRepository(targetPath, options),
+            () => restoreTargetDirectory(targetPath, directory, gitState, options.overwriteBackupDir)
+        )
+        await transaction.step("checkout", () => checkoutTemplate(targetPath, commit, options))
+
+        result.metadata = await transaction.step("files", () => createProjectFiles(targetPath, options))
+        await transaction.step("starter", () => addStarterContent(targetPath, options))
+        result.theme = await transaction.step("theme", () => setupTheme(targetPath, options))
+
+        if (options.skipInstall) {
+            log.step("install", "skipped")
+        } else {
+            await transaction.step(
+                "install",
+                () => installDependencies(targetPath, options.packageManager, log),
+                () => fs.rmSync(path.join(targetPath, "node_modules"), { recursive: true, force: true })
+            )
+        }
+
+        if (options.skipGit) {
+            // Files only: the repository used to fetch the template is removed
+            fs.rmSync(path.join(targetPath, ".git"), { recursive: true, force: true })
+            log.step("git", "skipped")
+        } else {
+            // Setup git with enhanced configuration, answering prompts from flags when non-interactive
+            result.git = await transaction.step("git", () => setupGitRepository(targetPath, options))
+        }
+
+        transaction.commit()
+    } catch (error) {
+        transaction.rollback()
+        throw options.signal?.aborted ? new InstallAbortedError() : error
+    } finally {
+        options.signal?.removeEventListener("abort", handleAbort)
+        if (options.overwriteBackupDir) {
+            fs.rmSync(options.overwriteBackupDir, { recursive: true, force: true })
+        }
+        options.starterPack?.cleanup()
+    }
+
+    return {
+        projectName,
+        path: targetPath,
+        packageName: options.packageName,
+        installedVersion: result.metadata?.installedVersion ?? null,
+        installedCommit: result.metadata?.installedCommit ?? null,
+        repoUrl: options.repo,
+        packageManager: options.packageManager,
+        theme: result.theme,
+        starter: options.starterPack?.name ?? null,
+        adminCredentials: options.adminCredentials,
+        git: result.git,
+        pendingSteps: result.metadata?.pendingSteps ?? [],
+    }
+}
+
+/**
+ * Complete the steps skipped with --skip-install/--skip-git, in an existing project,
+ * using the metadata stored in the aetherCMS block of package.json.
+ * @param {Object} options - Normalized options (cwd is the project; skip flags, prompts and remote flags apply)
+ * @returns {Promise<{path: string, completedSteps: string[], pendingSteps: string[]}>}
+ * @throws {AetherError} NotAProjectError, GitRepositoryExistsError, InvalidOptionsError or InstallStepError
+ */
+export async function finishProject(options) {
+    const { log } = options
+    const projectPath = options.cwd
+    const packageJsonPath = path.join(projectPath, "package.json")
+
+    if (!fs.existsSync(packageJsonPath)) {
+        throw new NotAProjectError("No package.json found. Run this command inside an Aether CMS project.")
+    }
+
+    let packageJson
+    try {
+        packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"))
+    } catch (error) {
+        throw new NotAProjectError(`Invalid package.json: ${error.message}`)
+    }
+    const metadata = packageJson.aetherCMS
+    if (!metadata) {
+        throw new NotAProjectError(
+            "package.json has no aetherCMS block. Was this project created with create-aether-cms?"
+        )
+    }
+
+    // Validated up front like in installProject: --use first, then the one recorded at creation
+    const packageManager = detectPackageManager(options.use || metadata.packageManager || null)
+
+    const pendingSteps = metadata.pendingSteps || []
+    const steps = pendingSteps.filter(
+        (step) => !(step === "install" && options.skipInstall) && !(step === "git" && options.skipGit)
+    )
+
+    if (steps.length === 0) {
+        log.info(pendingSteps.length === 0 ? "✅ Nothing left to do" : "⏭️ All pending steps skipped")
+        return { path: projectPath, completedSteps: [], pendingSteps }
+    }
+
+    const savePendingSteps = (remaining) => {
+        if (remaining.length > 0) {
+            metadata.pendingSteps = remaining
+        } else {
+            delete metadata.pendingSteps
+        }
+        fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2))
+    }
+
+    // Checked before installing anything, so that a failure leaves nothing half done
+    if (steps.includes("git")) {
+        if (fs.existsSync(path.join(projectPath, ".git"))) {
+            throw new GitRepositoryExistsError()
+        }
+        if (!metadata.installedCommit) {
+            throw new NotAProjectError("package.json does not record the installed commit (aetherCMS.installedCommit).")
+        }
     }
 
-    createProjectFiles(targetPath, options)
-    await installDependencies(targetPath)
+    // Failures surface as InstallStepError, like during an installation
+    const transaction = createTransaction({ keepOnFailure: options.keepOnFailure, log })
+    let remaining = [...pendingSteps]
+
+    try {
+        if (steps.includes("install")) {
+            await transaction.step("install", () => installDependencies(projectPath, packageManager, log))
+            remaining = remaining.filter((step) => step !== "install")
+            savePendingSteps(remaining)
+        }
 
-    // Setup git with enhanced configuration and pass question function
-    await setupGitRepository(targetPath, question)
+        if (steps.includes("git")) {
+            // Recorded before committing, so the initialization commit has up-to-date metadata
+            remaining = remaining.filter((step) => step !== "git")
+            savePendingSteps(remaining)
+            await transaction.step(
+                "git",
+                async () => {
+                    reconnectTemplateHistory(projectPath, metadata, options)
+                    await setupGitRepository(projectPath, { ...options, repo: metadata.repoUrl || DEFAULT_REPO_URL })
+                },
+                // The repository did not exist before, so finish can simply be run again
+                () => {
+                    fs.rmSync(path.join(projectPath, ".git"), { recursive: true, force: true })
+                    savePendingSteps([...remaining, "git"])
+                }
+            )
+        }
+    } catch (error) {
+        transaction.rollback()
+        throw error
+    }
 
-    console.log(getSuccessMessage(projectName, targetPath))
+    log.info("🎉 Project setup completed!")
+    return { path: projectPath, completedSteps: steps, pendingSteps: remaining }
 }
 
 // ============================================================================
@@ -52,84 +269,241 @@ export async function installProject(options) {
 
 /**
  * Enhanced git repository setup optimized for updates
+ * @param {string} targetPath - The project directory
+ * @param {Object} options - Installation options (question, interactive, remote flags, log)
+ * @returns {Promise<{origin: string|null, pushed: boolean}>} The connected origin remote
  */
-async function setupGitRepository(targetPath, question) {
-    try {
-        process.chdir(targetPath)
+async function setupGitRepository(targetPath, options) {
+    const { log } = options
+    const remote = { origin: null, pushed: false }
 
-        console.log("🔄 Setting up git repository...")
+    try {
+        log.info("🔄 Setting up git repository...")
 
-        // The repository was cloned, so origin already points to the template repo
-        // Rename origin to upstream for future updates
+        // The template was fetched through upstream, make sure it points to the template repo
         try {
-            execSync("git remote rename origin upstream", {
+            execSync(`git remote set-url upstream "${options.repo}"`, {
+                cwd: targetPath,
                 stdio: "ignore",
             })
-            console.log("✅ Configured upstream remote for updates")
+            log.info("✅ Configured upstream remote for updates")
         } catch (error) {
-            // If rename fails, try the manual approach
+            // If the remote is missing, try the manual approach
             try {
-                execSync("git remote remove origin", {
-                    stdio: "ignore",
-                })
-                execSync("git remote add upstream https://github.com/LebCit/aether-cms.git", {
+                execSync(`git remote add upstream "${options.repo}"`, {
+                    cwd: targetPath,
                     stdio: "ignore",
                 })
-                console.log("✅ Set up upstream remote for updates")
+                log.info("✅ Set up upstream remote for updates")
             } catch (error2) {
-                console.log("⚠️ Could not set up upstream remote:", error2.message)
+                log.warn("⚠️ Could not set up upstream remote:", error2.message)
             }
         }
 
-        // Configure git for better merging
-        execSync("git config merge.ours.driver true", {
-            stdio: "ignore",
+        // Configure git for better merging: the drivers behind the protected path strategies
+        Object.entries(MERGE_DRIVERS).forEach(([name, driver]) => {
+            execSync(`git config merge.${name}.driver "${driver}"`, {
+                cwd: targetPath,
+                stdio: "ignore",
+            })
         })
         execSync("git config pull.rebase false", {
+            cwd: targetPath,
             stdio: "ignore",
         })
 
-        // Ask about user's own repository
-        const answer = await question("Connect to your own Git repository? (y/n): ")
+        // Create a commit to mark the project initialization (never with the secrets in .env)
+        execSync("git rm --cached --quiet --ignore-unmatch .env", {
+            cwd: targetPath,
+            stdio: "ignore",
+        })
+        execSync("git add .", {
+            cwd: targetPath,
+            stdio: "ignore",
+        })
+        commitProject(targetPath, options.previousHead)
 
-        if (answer.toLowerCase() === "y") {
-            const repoUrl = await question("Enter your repository URL (or press Enter to skip): ")
-            if (repoUrl.trim()) {
-                try {
-                    execSync(`git remote add origin ${repoUrl.trim()}`, {
+        // Use the remote and branch names from the configuration
+        const { remoteName = "upstream", branch = "main" } = options
+        if (remoteName !== "upstream") {
+            execSync(`git remote rename upstream "${remoteName}"`, {
+                cwd: targetPath,
+                stdio: "ignore",
+            })
+            log.info(`✅ Renamed the template remote to ${remoteName}`)
+        }
+        if (branch !== "main") {
+            execSync(`git branch -m "${branch}"`, {
+                cwd: targetPath,
+                stdio: "ignore",
+            })
+            log.info(`✅ Renamed the main branch to ${branch}`)
+        }
+
+        // Connect the user's own repository, from flags or prompts
+        const existingOrigin = getRemoteUrl("origin", targetPath)
+        const { repoUrl, push } = await resolveRemoteChoice(options, existingOrigin)
+        if (repoUrl) {
+            try {
+                if (existingOrigin) {
+                    log.info(`✅ Using your existing origin remote (${existingOrigin})`)
+                } else {
+                    execSync(`git remote add origin ${repoUrl}`, {
+                        cwd: targetPath,
                         stdio: "ignore",
                     })
-                    console.log("✅ Added your repository as origin")
-
-                    const pushNow = await question("Push now? (y/n): ")
-                    if (pushNow.toLowerCase() === "y") {
-                        try {
-                            execSync("git push -u origin main", {
-                                stdio: "inherit",
+                    log.info("✅ Added your repository as origin")
+                }
+                remote.origin = repoUrl
+
+                if (push) {
+                    try {
+                        // Remotes refuse pushes from shallow clones, so fetch the missing history first
+                        const isShallow = execSync("git rev-parse --is-shallow-repository", {
+                            cwd: targetPath,
+                            encoding: "utf8",
+                        })
+                        if (isShallow.trim() === "true") {
+                            log.info("📥 Fetching full history before pushing...")
+                            execSync(`git fetch --unshallow "${remoteName}"`, {
+                                cwd: targetPath,
+                                stdio: "ignore",
                             })
-                            console.log("✅ Pushed to your repository")
-                        } catch (pushError) {
-                            console.log("⚠️ Push failed:", pushError.message)
-                            console.log("💡 You can push later with: git push -u origin main")
                         }
+
+                        execSync(`git push -u origin "${branch}"`, {
+                            cwd: targetPath,
+                            stdio: log.stdio,
+                        })
+                        remote.pushed = true
+                        log.info("✅ Pushed to your repository")
+                    } catch (pushError) {
+                        log.warn("⚠️ Push failed:", pushError.message)
+                        log.info(`💡 You can push later with: git push -u origin ${branch}`)
                     }
-                } catch (error) {
-                    console.log("⚠️ Could not add origin remote:", error.message)
                 }
+            } catch (error) {
+                log.warn("⚠️ Could not add origin remote:", error.message)
             }
         }
 
-        // Create a commit to mark the project initialization
-        execSync("git add .", {
-            stdio: "ignore",
-        })
-        execSync('git commit -m "Initialize Aether CMS project"', {
-            stdio: "ignore",
-        })
-
-        console.log("✅ Git configured for seamless updates")
+        log.info("✅ Git configured for seamless updates")
     } catch (error) {
-        console.log("⚠️ Git setup failed:", error.message)
+        log.warn("⚠️ Git setup failed:", error.message)
+    }
+
+    return remote
+}
+
+/**
+ * Create the commit marking the project initialization. In a repository that already had commits,
+ * it joins both histories: its parents are the previous HEAD and the template commit.
+ * @param {string} targetPath - The project directory
+ * @param {string|null} previousHead - The commit checked out before the installation
+ */
+function commitProject(targetPath, previousHead) {
+    const message = "Initialize Aether CMS project"
+
+    if (!previousHead) {
+        execSync(`git commit -m "${message}"`, { cwd: targetPath, stdio: "ignore" })
+        return
+    }
+
+    const read = (command) => execSync(command, { cwd: targetPath, encoding: "utf8" }).trim()
+    const tree = read("git write-tree")
+    const commit = read(`git commit-tree ${tree} -p ${previousHead} -p HEAD -m "${message}"`)
+    execSync(`git reset --soft ${commit}`, { cwd: targetPath, stdio: "ignore" })
+}
+
+/**
+ * Decide whether to connect (and push to) the user's own repository.
+ * Flags always win; prompts are only used in interactive mode, otherwise
+ * the safe default is to add no remote and push nothing.
+ * @param {Object} options - Installation options
+ * @param {string|null} existingOrigin - URL of an origin remote already present (existing directory)
+ * @returns {Promise<{repoUrl: string|null, push: boolean}>}
+ */
+async function resolveRemoteChoice(options, existingOrigin = null) {
+    const { question, interactive } = options
+    const canAsk = Boolean(interactive && question)
+
+    if (options.gitRemote === false) {
+        return { repoUrl: null, push: false }
+    }
+
+    let repoUrl = existingOrigin || options.remoteUrl?.trim() || null
+
+    if (!repoUrl) {
+        if (!canAsk) {
+            return { repoUrl: null, push: false }
+        }
+
+        const answer = await question("Connect to your own Git repository? (y/n): ")
+        if (answer.toLowerCase() !== "y") {
+            return { repoUrl: null, push: false }
+        }
+
+        repoUrl = (await question("Enter your repository URL (or press Enter to skip): ")).trim() || null
+        if (!repoUrl) {
+            return { repoUrl: null, push: false }
+        }
+    }
+
+    if (options.push || !canAsk) {
+        return { repoUrl, push: Boolean(options.push) }
+    }
+
+    const pushNow = await question("Push now? (y/n): ")
+    return { repoUrl, push: pushNow.toLowerCase() === "y" }
+}
+
+/**
+ * Recreate the git repository of a project scaffolded with --skip-git,
+ * on top of the template commit it was created from, so updates can be merged.
+ * @param {string} projectPath - The project directory
+ * @param {Object} metadata - The aetherCMS block of package.json
+ * @param {Object} options - Normalized options (fullHistory and log apply)
+ */
+function reconnectTemplateHistory(projectPath, metadata, options) {
+    const { log } = options
+    const repoUrl = metadata.repoUrl || DEFAULT_REPO_URL
+    const fetchUrl = path.isAbsolute(repoUrl) ? pathToFileURL(repoUrl).href : repoUrl
+    const git = (command, stdio = "ignore") => {
+        log.debug(`$ git ${command}`)
+        return execSync(`git ${command}`, { cwd: projectPath, stdio })
+    }
+
+    log.info(`🔄 Reconnecting to ${repoUrl} at ${metadata.installedCommit.substring(0, 7)}...`)
+    git("init --quiet")
+    git(`remote add upstream "${fetchUrl}"`)
+
+    try {
+        git(`fetch ${options.fullHistory ? "" : "--depth 1 "}--no-tags upstream ${metadata.installedCommit}`, log.stdio)
+    } catch {
+        git('fetch --tags upstream "+refs/heads/*:refs/remotes/upstream/*"', log.stdio)
+    }
+
+    // Point the branch at the template commit, keeping the files on disk as they are
+    git(`reset --quiet ${metadata.installedCommit}`)
+    git("branch -M main")
+    git(`remote set-url upstream "${repoUrl}"`)
+}
+
+/**
+ * Get the URL of a git remote
+ * @param {string} name - The remote name
+ * @param {string} cwd - The repository directory
+ * @returns {string|null} The remote URL, or null when it does not exist
+ */
+function getRemoteUrl(name, cwd) {
+    try {
+        return execSync(`git remote get-url ${name}`, {
+            cwd,
+            encoding: "utf8",
+            stdio: ["ignore", "pipe", "ignore"],
+        }).trim()
+    } catch {
+        return null
     }
 }
 
@@ -138,100 +512,295 @@ async function setupGitRepository(targetPath, question) {
 // ============================================================================
 
 /**
- * Clone repository with specific version targeting
+ * Clone repository with specific version targeting.
+ * Works in new, empty and existing directories: the template is fetched into
+ * a (possibly pre-existing) git repository with an `upstream` remote, without
+ * touching the working tree yet.
+ * @param {string} targetPath - The project directory
+ * @param {Object} options - Installation options
+ * @param {string} [options.overwriteBackupDir] - Where to back up the existing files
+ * @returns {Promise<string>} The fetched template commit
+ * @throws {DirectoryConflictError} When existing files would be overwritten without --force
  */
 async function cloneRepository(targetPath, options) {
-    const repoUrl = "https://github.com/LebCit/aether-cms.git"
+    const { log } = options
+    const source = options.templateSource || options.repo
+    const { target, targetType } = getTemplateTarget(options)
+
+    const commit = fetchTemplate(targetPath, source, target, targetType, options.fullHistory, log)
+
+    // Refuse to silently overwrite the user's files
+    const conflicts = findConflicts(targetPath, commit)
+    if (conflicts.length > 0) {
+        reportConflicts(conflicts, log)
+        if (!options.force) {
+            throw new DirectoryConflictError(
+                "Existing files would be overwritten. Re-run with --force to overwrite them.",
+                conflicts
+            )
+        }
+    }
+
+    // Everything already there is backed up: the checkout replaces the files and removes the ones
+    // tracked on the current branch that the template lacks, then checkoutTemplate puts them back
+    const existing = fs.readdirSync(targetPath).filter((entry) => entry !== ".git")
+    backupFiles(targetPath, existing, options.overwriteBackupDir)
+
+    return commit
+}
+
+/**
+ * Check out the fetched template commit on the main branch
+ * @param {string} targetPath - The project directory
+ * @param {string} commit - The commit returned by cloneRepository
+ * @param {Object} options - Installation options
+ */
+async function checkoutTemplate(targetPath, commit, options) {
+    const { log } = options
+    const { target, targetType } = getTemplateTarget(options)
+
+    // Suppress the detached HEAD warning for cleaner output (existing files are backed up, so forcing is safe)
+    const force = options.force || options.overwriteBackupDir ? " --force" : ""
+    execSync(`git -c advice.detachedHead=false checkout --quiet${force} ${commit}`, {
+        cwd: targetPath,
+        stdio: log.stdio,
+    })
+
+    // Bring back the files the checkout removed, and keep the user's own README and LICENSE
+    if (options.overwriteBackupDir) {
+        for (const entry of fs.readdirSync(options.overwriteBackupDir)) {
+            fs.cpSync(path.join(options.overwriteBackupDir, entry), path.join(targetPath, entry), {
+                recursive: true,
+                force: isHarmlessEntry(entry),
+            })
+        }
+    }
+
+    // Point upstream at the real repository (not the cache or its file:// form)
+    execSync(`git remote set-url upstream "${options.repo}"`, {
+        cwd: targetPath,
+        stdio: "ignore",
+    })
+
+    // Handle branch creation from current state
+    await ensureMainBranchFromCurrentState(targetPath, target, targetType, log)
+}
+
+/**
+ * Handle specific version targeting with unified approach
+ * @param {Object} options - Installation options
+ * @returns {{target: string, targetType: string}} The version, tag or commit to install
+ */
+function getTemplateTarget(options) {
+    const tag = options.tag || options.channelTag
+    return {
+        target: options.hash || tag || options.version,
+        targetType: options.hash ? "commit" : tag ? "tag" : "version",
+    }
+}
+
+/**
+ * Fetch the requested target into the project directory.
+ * By default only the target commit is fetched (depth 1); the missing history is
+ * fetched later by check-updates/update-aether with --unshallow.
+ * @param {string} targetPath - The project directory
+ * @param {string} source - Where to fetch from (repository, cache or local path)
+ * @param {string} target - The version, tag or commit ("latest" for the default branch)
+ * @param {string} targetType - "version", "tag" or "commit"
+ * @param {boolean} fullHistory - Fetch every branch and tag instead of a single commit
+ * @param {Object} log - Logger
+ * @returns {string} The fetched commit hash
+ */
+function fetchTemplate(targetPath, source, target, targetType, fullHistory, log) {
+    const isLatest = !target || target === "latest"
+    const ref = isLatest ? "HEAD" : targetType === "commit" ? target : `refs/tags/${target}`
+    // Shallow fetches are ignored for plain local paths, so use the file:// transport
+    const fetchUrl = path.isAbsolute(source) ? pathToFileURL(source).href : source
+    const git = (command, stdio = "ignore") => {
+        log.debug(`$ git ${command}`)
+        return execSync(`git ${command}`, { cwd: targetPath, stdio })
+    }
+
+    fs.mkdirSync(targetPath, { recursive: true })
+    if (!fs.existsSync(path.join(targetPath, ".git"))) {
+        git("init --quiet")
+    }
 
     try {
-        // Always do a full clone first
-        console.log(`📥 Cloning Aether CMS repository...`)
-        execSync(`git clone ${repoUrl} ${targetPath}`, {
-            stdio: "inherit",
-        })
+        git(`remote add upstream "${fetchUrl}"`)
+    } catch {
+        git(`remote set-url upstream "${fetchUrl}"`)
+    }
 
-        process.chdir(targetPath)
+    const fetchFullHistory = () => {
+        git('fetch --tags upstream "+refs/heads/*:refs/remotes/upstream/*"', log.stdio)
+        if (isLatest) {
+            git("remote set-head upstream --auto")
+        }
+        return isLatest ? "refs/remotes/upstream/HEAD" : target
+    }
 
-        // Handle specific version targeting with unified approach
-        const target = options.hash || options.tag || options.version
-        const targetType = options.hash ? "commit" : options.tag ? "tag" : "version"
+    const strategies = [
+        // Only the target commit (tags are kept locally for later version comparisons)
+        () => {
+            const refspec = ref.startsWith("refs/tags/") ? `+${ref}:${ref}` : ref
+            git(`fetch --depth 1 --no-tags upstream ${refspec}`, log.stdio)
+            return "FETCH_HEAD"
+        },
+        // Abbreviated hashes and servers refusing to serve arbitrary commits need the full history
+        () => {
+            log.info("💡 Shallow fetch not possible for this target, fetching full history...")
+            return fetchFullHistory()
+        },
+    ]
 
-        if (target && target !== "latest") {
-            console.log(`🎯 Switching to ${targetType} ${target}...`)
+    if (fullHistory) {
+        log.info(`📥 Cloning Aether CMS repository with full history...`)
+        strategies.splice(0, strategies.length, fetchFullHistory)
+    } else {
+        log.info(`📥 Fetching Aether CMS ${isLatest ? "latest version" : `${targetType} ${target}`}...`)
+    }
 
-            // Suppress the detached HEAD warning for cleaner output
-            execSync(`git -c advice.detachedHead=false checkout ${target}`, {
-                stdio: "inherit",
-            })
+    let fetchedRef = null
+    for (const strategy of strategies) {
+        try {
+            fetchedRef = strategy()
+            break
+        } catch (error) {
+            if (strategy === strategies[strategies.length - 1]) {
+                throw error
+            }
         }
+    }
+
+    if (!isLatest) {
+        log.info(`🎯 Switching to ${targetType} ${target}...`)
+    }
 
-        // Handle branch creation from current state
-        await ensureMainBranchFromCurrentState(target, targetType)
+    return execSync(`git rev-parse ${fetchedRef}^{commit}`, { cwd: targetPath, encoding: "utf8" }).trim()
+}
 
-        return true
-    } catch (error) {
-        console.error("❌ Failed to clone repository:", error.message)
-        return false
+/**
+ * List existing files in the project directory that the template would overwrite.
+ * Harmless files (README, LICENSE...) are kept, and so is the history of an existing repository.
+ * @param {string} targetPath - The project directory
+ * @param {string} commit - The template commit about to be checked out
+ * @returns {string[]} Relative paths of conflicting files
+ */
+function findConflicts(targetPath, commit) {
+    const templateFiles = execSync(`git ls-tree -r --name-only ${commit}`, {
+        cwd: targetPath,
+        encoding: "utf8",
+        maxBuffer: 64 * 1024 * 1024,
+    })
+        .split("\n")
+        .filter(Boolean)
+
+    return templateFiles.filter((file) => !isHarmlessEntry(file) && fs.existsSync(path.join(targetPath, file)))
+}
+
+/**
+ * Print the list of files that the template would overwrite
+ * @param {string[]} conflicts - Relative paths of conflicting files
+ * @param {Object} log - Logger
+ */
+function reportConflicts(conflicts, log) {
+    log.warn(`\n⚠️ ${conflicts.length} existing item(s) would be overwritten:`)
+    conflicts.slice(0, 20).forEach((file) => log.warn(`  ${file}`))
+    if (conflicts.length > 20) {
+        log.warn(`  ... and ${conflicts.length - 20} more`)
+    }
+    log.warn("")
+}
+
+/**
+ * Copy the existing files, so that a rollback can restore them
+ * @param {string} targetPath - The project directory
+ * @param {string[]} files - Relative paths to back up
+ * @param {string} [backupDir] - Backup location (no backup when omitted)
+ */
+function backupFiles(targetPath, files, backupDir) {
+    if (!backupDir) {
+        return
     }
+
+    files
+        .filter((file) => fs.existsSync(path.join(targetPath, file)))
+        .forEach((file) => {
+            const destination = path.join(backupDir, file)
+            fs.mkdirSync(path.dirname(destination), { recursive: true })
+            fs.cpSync(path.join(targetPath, file), destination, { recursive: true })
+        })
 }
 
 /**
  * Create main branch from current state instead of switching to main
+ * @param {string} targetPath - The project directory
+ * @param {string} target - The installed version, tag or commit
+ * @param {string} targetType - "version", "tag" or "commit"
+ * @param {Object} log - Logger
  */
-async function ensureMainBranchFromCurrentState(target, targetType) {
+async function ensureMainBranchFromCurrentState(targetPath, target, targetType, log) {
     try {
         // Check if we're in detached HEAD state
         const currentBranch = execSync('git symbolic-ref --short HEAD 2>/dev/null || echo ""', {
+            cwd: targetPath,
             encoding: "utf8",
             shell: true,
         }).trim()
 
         if (!currentBranch) {
             // We're in detached HEAD, create main branch from current state
-            console.log(`🔄 Creating main branch from current state (${target || "latest"})...`)
-            await createMainBranchFromCurrent()
+            log.info(`🔄 Creating main branch from current state (${target || "latest"})...`)
+            await createMainBranchFromCurrent(targetPath)
         } else if (currentBranch !== "main") {
             // We're on a different branch, create main from current state
-            console.log(`🔄 Creating main branch from ${targetType} ${target || "latest"}...`)
+            log.info(`🔄 Creating main branch from ${targetType} ${target || "latest"}...`)
             try {
                 execSync("git checkout -b main", {
+                    cwd: targetPath,
                     stdio: "ignore",
                 })
             } catch {
                 // If main already exists, force update it to current state
                 const currentCommit = execSync("git rev-parse HEAD", {
+                    cwd: targetPath,
                     encoding: "utf8",
                 }).trim()
                 execSync(`git branch -f main ${currentCommit}`, {
+                    cwd: targetPath,
                     stdio: "ignore",
                 })
                 execSync("git checkout main", {
+                    cwd: targetPath,
                     stdio: "ignore",
                 })
             }
         }
 
-        console.log("✅ Main branch setup complete")
+        log.info("✅ Main branch setup complete")
     } catch (branchError) {
-        console.warn("⚠️ Branch setup warning:", branchError.message)
-        console.log("💡 Continuing with current git state...")
+        log.warn("⚠️ Branch setup warning:", branchError.message)
+        log.info("💡 Continuing with current git state...")
     }
 }
 
 /**
  * Create main branch from current HEAD with fallback methods
+ * @param {string} targetPath - The project directory
  */
-async function createMainBranchFromCurrent() {
+async function createMainBranchFromCurrent(targetPath) {
+    const run = (command, options = { stdio: "ignore" }) => execSync(command, { cwd: targetPath, ...options })
     const strategies = [
         // Modern git
-        () => execSync("git switch -c main", { stdio: "ignore" }),
+        () => run("git switch -c main"),
         // Traditional git
-        () => execSync("git checkout -b main", { stdio: "ignore" }),
-        // Manual branch creation
+        () => run("git checkout -b main"),
+        // Manual branch creation, resetting a main branch left over from a full clone
         () => {
-            const currentCommit = execSync("git rev-parse HEAD", { encoding: "utf8" }).trim()
-            execSync(`git branch main ${currentCommit}`, { stdio: "ignore" })
-            execSync("git checkout main", { stdio: "ignore" })
+            const currentCommit = run("git rev-parse HEAD", { encoding: "utf8" }).trim()
+            run(`git branch -f main ${currentCommit}`)
+            run("git checkout main")
         },
     ]
 
@@ -247,6 +816,122 @@ async function createMainBranchFromCurrent() {
     }
 }
 
+// ============================================================================
+// 📂 TARGET DIRECTORY
+// ============================================================================
+
+/**
+ * Entries that may already exist in the target directory without --force
+ */
+const HARMLESS_ENTRIES = [/^\.git$/, /^readme(\..*)?$/i, /^licen[cs]e(\..*)?$/i, /^\.DS_Store$/, /^Thumbs\.db$/]
+
+/**
+ * Check whether a top-level entry may already exist in the target directory without --force
+ * @param {string} entry - File or directory name, relative to the project directory
+ * @returns {boolean}
+ */
+function isHarmlessEntry(entry) {
+    return HARMLESS_ENTRIES.some((pattern) => pattern.test(entry))
+}
+
+/**
+ * Inspect the directory the project will be created in
+ * @param {string} targetPath - The project directory
+ * @returns {{exists: boolean, entries: string[], unexpected: string[]}} Existing entries,
+ * and the ones that are not harmless
+ */
+function inspectTargetDirectory(targetPath) {
+    if (!fs.existsSync(targetPath)) {
+        return { exists: false, entries: [], unexpected: [] }
+    }
+
+    if (!fs.statSync(targetPath).isDirectory()) {
+        return { exists: true, entries: [], unexpected: [path.basename(targetPath) + " (not a directory)"] }
+    }
+
+    const entries = fs.readdirSync(targetPath)
+    const unexpected = entries.filter((entry) => !isHarmlessEntry(entry))
+
+    return { exists: true, entries, unexpected }
+}
+
+/**
+ * Record the git state of an existing directory so it can be restored on rollback
+ * @param {string} targetPath - The project directory
+ * @returns {Object|null} The git state, or null when the directory is not a repository
+ */
+function captureGitState(targetPath) {
+    if (!fs.existsSync(path.join(targetPath, ".git"))) {
+        return null
+    }
+
+    const read = (command) => {
+        try {
+            return execSync(`git ${command}`, {
+                cwd: targetPath,
+                encoding: "utf8",
+                stdio: ["ignore", "pipe", "ignore"],
+            }).trim()
+        } catch {
+            return null
+        }
+    }
+
+    return {
+        headRef: read("symbolic-ref HEAD"),
+        headSha: read("rev-parse --verify --quiet HEAD"),
+        mainSha: read("rev-parse --verify --quiet refs/heads/main"),
+        upstreamUrl: getRemoteUrl("upstream", targetPath),
+        shallow: fs.existsSync(path.join(targetPath, ".git", "shallow")),
+    }
+}
+
+/**
+ * Restore the project directory to its state before the installation
+ * @param {string} targetPath - The project directory
+ * @param {Object} directory - The result of inspectTargetDirectory before installing
+ * @param {Object|null} gitState - The result of captureGitState before installing
+ * @param {string|null} backupDir - Backups of overwritten files
+ */
+function restoreTargetDirectory(targetPath, directory, gitState, backupDir) {
+    if (!directory.exists) {
+        fs.rmSync(targetPath, { recursive: true, force: true })
+        return
+    }
+
+    // Remove everything the installation added, then put overwritten files back
+    fs.readdirSync(targetPath)
+        .filter((entry) => !directory.entries.includes(entry))
+        .forEach((entry) => fs.rmSync(path.join(targetPath, entry), { recursive: true, force: true }))
+
+    if (backupDir && fs.existsSync(backupDir)) {
+        fs.cpSync(backupDir, targetPath, { recursive: true, force: true })
+    }
+
+    if (gitState) {
+        const git = (command) => {
+            try {
+                execSync(`git ${command}`, { cwd: targetPath, stdio: "ignore" })
+            } catch {
+                // Best effort, continue restoring the rest
+            }
+        }
+
+        if (gitState.headRef) {
+            git(`symbolic-ref HEAD ${gitState.headRef}`)
+        }
+        git(gitState.mainSha ? `update-ref refs/heads/main ${gitState.mainSha}` : "update-ref -d refs/heads/main")
+        if (gitState.headRef && gitState.headRef !== "refs/heads/main" && gitState.headSha) {
+            git(`update-ref ${gitState.headRef} ${gitState.headSha}`)
+        }
+        git(gitState.headSha ? "reset --quiet" : "rm -r --quiet --cached --ignore-unmatch .")
+        git(gitState.upstreamUrl ? `remote set-url upstream "${gitState.upstreamUrl}"` : "remote remove upstream")
+        if (!gitState.shallow) {
+            fs.rmSync(path.join(targetPath, ".git", "shallow"), { force: true })
+        }
+    }
+}
+
 // ============================================================================
 // 🔍 VALIDATION FUNCTIONS
 // ============================================================================
@@ -276,47 +961,83 @@ export function validateProjectName(projectName) {
 
 /**
  * Validate version/tag/hash exists in repository
+ * @param {string} target - The version, tag or hash to look for
+ * @param {string} type - The target type (version, tag, hash)
+ * @param {string} [repoUrl] - The template repository URL or path
+ * @param {Object} [log] - Logger
+ * @throws {TargetNotFoundError} When the version or tag does not exist
  */
-export async function validateTarget(target, type) {
+export async function validateTarget(target, type, repoUrl = DEFAULT_REPO_URL, log = defaultLogger) {
     if (type === "hash" || target === "latest") {
         return true // Will validate after cloning
     }
 
+    let tags
     try {
-        const repoUrl = "https://github.com/LebCit/aether-cms.git"
-        const tags = execSync(`git ls-remote --tags ${repoUrl}`, {
-            encoding: "utf8",
-        })
-        const targetExists = tags.includes(`refs/tags/${target}`)
-
-        if (!targetExists) {
-            console.error(`❌ Version/tag '${target}' not found`)
-
-            // Show available versions
-            const available = tags
-                .split("\n")
-                .filter((line) => line.includes("refs/tags/"))
-                .map((line) => line.match(/refs\/tags\/(.+)$/)?.[1])
-                .filter(Boolean)
-                .filter((tag) => !tag.includes("^{}"))
-                .sort()
-                .reverse()
-
-            if (available.length > 0) {
-                console.log("\n📋 Available versions:")
-                available.slice(0, 10).forEach((v) => console.log(`  ${v}`))
-                if (available.length > 10) {
-                    console.log(`  ... and ${available.length - 10} more`)
-                }
+        tags = listRemoteTags(repoUrl)
+    } catch (error) {
+        log.warn("⚠️ Could not validate target:", error.message)
+        return true
+    }
+
+    if (!tags.includes(target)) {
+        // Show available versions
+        const available = [...tags].sort().reverse()
+
+        if (available.length > 0) {
+            log.info("\n📋 Available versions:")
+            available.slice(0, 10).forEach((v) => log.info(`  ${v}`))
+            if (available.length > 10) {
+                log.info(`  ... and ${available.length - 10} more`)
             }
-            return false
         }
+        throw new TargetNotFoundError(target, available)
+    }
 
-        return true
+    return true
+}
+
+/**
+ * Work out the tag to install for an update channel when no version, tag or hash is given
+ * @param {string} channel - "stable", "beta" or "edge"
+ * @param {string} repoUrl - The template repository URL or path
+ * @param {Object} [log] - Logger
+ * @returns {{targetType: string, target: string}} The newest tag of the channel, or latest
+ * (the default branch) for edge and when the channel has no tag
+ */
+export function getChannelTarget(channel, repoUrl, log = defaultLogger) {
+    if (channel === "edge") {
+        return { targetType: "latest", target: "latest" }
+    }
+
+    let tag = null
+    try {
+        tag = selectChannelTag(listRemoteTags(repoUrl), channel)
     } catch (error) {
-        console.warn("⚠️ Could not validate target:", error.message)
-        return true
+        log.warn(`⚠️ Could not list the ${channel} releases:`, error.message)
     }
+    if (!tag) {
+        log.warn(`⚠️ No ${channel} release found, installing the latest version instead`)
+        return { targetType: "latest", target: "latest" }
+    }
+
+    log.info(`📌 Installing ${tag}, the latest ${channel} release`)
+    return { targetType: "tag", target: tag }
+}
+
+/**
+ * List the tags of a repository without cloning it
+ * @param {string} repoUrl - The repository URL or path
+ * @returns {string[]} The tag names
+ */
+function listRemoteTags(repoUrl) {
+    return execSync(`git ls-remote --tags --refs "${repoUrl}"`, {
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "pipe"],
+    })
+        .split("\n")
+        .map((line) => line.match(/refs\/tags\/(.+)$/)?.[1])
+        .filter(Boolean)
 }
 
 // ============================================================================
@@ -324,16 +1045,63 @@ export async function validateTarget(target, type) {
 // ============================================================================
 
 /**
- * Parse command line arguments for version targeting
+ * Get the default installation options, shared by the CLI and the programmatic API
+ * @returns {Object} The options used when no flag is given
  */
-export function parseArguments() {
-    const args = process.argv.slice(2)
-    const options = {
+export function getDefaultOptions() {
+    return {
         projectName: null,
         version: "latest",
         tag: null,
         hash: null,
+        repo: DEFAULT_REPO_URL,
+        remoteName: "upstream",
+        branch: "main",
+        upstreamBranch: "main",
+        offline: false,
+        cache: true,
+        refreshCache: false,
+        fullHistory: false,
+        keepOnFailure: false,
+        force: false,
+        adminUser: null,
+        adminPassword: null,
+        port: null,
+        siteUrl: null,
+        nodeEnv: null,
+        envFile: null,
+        title: null,
+        description: null,
+        postsPerPage: null,
+        channel: null,
+        theme: null,
+        settings: null,
+        settingsFile: null,
+        protectedPaths: null,
+        starter: null,
+        use: null,
+        skipInstall: false,
+        skipGit: false,
+        gitRemote: null,
+        remoteUrl: null,
+        push: false,
+    }
+}
+
+/**
+ * Parse command line arguments. Only the flags actually given are set, so
+ * that they can override ~/.aetherrc and --config; defaults are applied later.
+ */
+export function parseArguments() {
+    const args = process.argv.slice(2)
+    const options = {
+        command: null,
         help: false,
+        yes: false,
+        json: false,
+        logLevel: "normal",
+        interactive: false,
+        rc: true,
     }
 
     for (let i = 0; i < args.length; i++) {
@@ -347,14 +1115,121 @@ export function parseArguments() {
             options.tag = args[++i]
         } else if (arg === "--hash" || arg === "--commit") {
             options.hash = args[++i]
+        } else if (arg === "--repo") {
+            options.repo = resolveRepoSource(args[++i])
+        } else if (arg === "--offline") {
+            options.offline = true
+        } else if (arg === "--no-cache") {
+            options.cache = false
+        } else if (arg === "--refresh-cache") {
+            options.refreshCache = true
+        } else if (arg === "--full-history") {
+            options.fullHistory = true
+        } else if (arg === "--keep-on-failure") {
+            options.keepOnFailure = true
+        } else if (arg === "--force" || arg === "-f") {
+            options.force = true
+        } else if (arg === "--admin-user") {
+            options.adminUser = args[++i]
+        } else if (arg === "--admin-password") {
+            options.adminPassword = args[++i]
+        } else if (arg === "--port") {
+            options.port = args[++i]
+        } else if (arg === "--site-url") {
+            options.siteUrl = args[++i]
+        } else if (arg === "--node-env") {
+            options.nodeEnv = args[++i]
+        } else if (arg === "--env-file") {
+            options.envFile = path.resolve(args[++i])
+        } else if (arg === "--title") {
+            options.title = args[++i]
+        } else if (arg === "--description") {
+            options.description = args[++i]
+        } else if (arg === "--posts-per-page") {
+            options.postsPerPage = args[++i]
+        } else if (arg === "--channel") {
+            options.channel = args[++i]
+        } else if (arg === "--theme") {
+            options.theme = args[++i]
+        } else if (arg === "--settings") {
+            options.settingsFile = path.resolve(args[++i])
+        } else if (arg === "--starter") {
+            options.starter = args[++i]
+        } else if (arg === "--use") {
+            options.use = args[++i]
+        } else if (arg === "--skip-install") {
+            options.skipInstall = true
+        } else if (arg === "--skip-git") {
+            options.skipGit = true
+        } else if (arg === "finish" && !options.projectName && !options.command) {
+            options.command = "finish"
+        } else if (arg === "--yes" || arg === "-y") {
+            options.yes = true
+        } else if (arg === "--no-git-remote") {
+            options.gitRemote = false
+        } else if (arg === "--remote-url") {
+            options.remoteUrl = args[++i]
+        } else if (arg === "--push") {
+            options.push = true
+        } else if (arg === "--json") {
+            options.json = true
+        } else if (arg === "--quiet" || arg === "-q") {
+            options.logLevel = "quiet"
+        } else if (arg === "--verbose") {
+            options.logLevel = "verbose"
+        } else if (arg === "--config") {
+            options.config = path.resolve(args[++i])
+        } else if (arg === "--no-rc") {
+            options.rc = false
         } else if (!options.projectName) {
             options.projectName = arg
         }
     }
 
+    // Never prompt when asked not to, when prompts would corrupt --json output,
+    // or when nobody is there to answer (CI, Docker, piped stdin)
+    options.interactive = !options.yes && !options.json && Boolean(process.stdin.isTTY)
+
     return options
 }
 
+/**
+ * Resolve a --repo value to something git can clone.
+ * URLs (https, ssh, scp-like git@host:path, file://) are kept as-is,
+ * local paths are made absolute so they survive changes of directory.
+ * @param {string} repo - Repository URL or local path
+ * @param {string} [cwd] - Directory relative paths are resolved from
+ * @returns {string} The resolved repository source
+ */
+export function resolveRepoSource(repo, cwd = process.cwd()) {
+    if (!repo) {
+        return DEFAULT_REPO_URL
+    }
+
+    // There are no named repositories: any existing directory is a path
+    if (!isGitUrl(repo) && fs.existsSync(path.resolve(cwd, repo))) {
+        return path.resolve(cwd, repo)
+    }
+
+    return repo
+}
+
+/**
+ * Make a local path absolute, leaving URLs and names (a bundled theme or starter) untouched.
+ * Only values written as paths ("./docs", "../themes/x", "/abs") are paths, so a folder in the
+ * current directory never shadows a name.
+ * @param {string|null} source - A URL, a path or a name
+ * @param {string} cwd - Directory relative paths are resolved from
+ * @returns {string|null} The resolved source
+ */
+export function resolveLocalSource(source, cwd) {
+    if (source && isLocalPath(source)) {
+        return path.resolve(cwd, source)
+    }
+
+    return source
+}
+
 /**
  * Show help message with version targeting options
  */
@@ -364,11 +1239,45 @@ create-aether-cms - Create a new Aether CMS project
 
 Usage:
   npx create-aether-cms <project-name> [options]
+  npx create-aether-cms . [options]          Install into the current directory
+  npx create-aether-cms finish [options]     Complete steps skipped with --skip-install/--skip-git
 
 Options:
   --version, -v <version>    Install specific version (e.g., v1.2.0, latest)
   --tag, -t <tag>           Install specific git tag
   --hash, --commit <hash>   Install specific commit hash
+  --repo <url|path>         Use another template repository (e.g. your fork)
+  --offline                 Install from the local template cache only
+  --no-cache                Do not use or refresh the local template cache
+  --refresh-cache           Create or refresh the local template cache for offline use
+  --full-history            Clone the complete history instead of only the target
+  --keep-on-failure         Do not roll back a failed installation (for debugging)
+  --force, -f               Install into a non-empty directory, overwriting files
+  --admin-user <name>       Initial admin username (default: admin)
+  --admin-password <pass>   Initial admin password (default: prompt or generate)
+  --port <port>             Port written to .env (default: 8080)
+  --site-url <url>          Site URL written to .env (default: http://localhost:<port>)
+  --node-env <env>          NODE_ENV written to .env (default: development)
+  --env-file <file>         Merge values from an existing env file into .env
+  --title <title>           Site title
+  --description <text>      Site description
+  --posts-per-page <n>      Number of posts per page
+  --channel <channel>       Update channel: stable (release tags), beta (also prereleases) or edge (main)
+  --theme <name|url|path>   Theme to install and activate (bundled name, git URL or path)
+  --settings <file.json>    Settings preset deep-merged into the defaults
+  --starter <name|url|path> Starter content: blog, docs, portfolio, empty, or your own pack
+  --use <npm|pnpm|yarn|bun> Package manager (default: the one running create-aether-cms)
+  --skip-install            Do not install dependencies
+  --skip-git                Do not set up git (the project is created without a repository)
+  --yes, -y                 Skip all prompts and use flags or safe defaults
+  --no-git-remote           Do not connect your own Git repository
+  --remote-url <url>        Add <url> as the origin remote without asking
+  --push                    Push to the origin remote after setup
+  --json                    Print newline-delimited JSON events instead of text (implies --yes)
+  --quiet, -q               Only print warnings, errors and the result
+  --verbose                 Also print debug messages and the commands being run
+  --config <file>           Read options from a JSON file, e.g. another project's aether.config.json
+  --no-rc                   Ignore the defaults in ~/.aetherrc
   --help, -h                Show this help message
 
 Examples:
@@ -376,25 +1285,158 @@ Examples:
   npx create-aether-cms my-blog --version v1.2.0
   npx create-aether-cms my-blog --tag stable
   npx create-aether-cms my-blog --hash abc1234
+  npx create-aether-cms my-blog --repo https://github.com/acme/aether-cms.git
+  npx create-aether-cms my-blog --offline --version v1.2.0
+  npx create-aether-cms client-site --settings agency.json --title "Client Site"
+  npx create-aether-cms my-blog --theme https://github.com/acme/aether-theme-minimal.git
+  npx create-aether-cms my-docs --starter docs
+  npx create-aether-cms my-blog --yes --remote-url git@github.com:me/my-blog.git --push
+  npx create-aether-cms client-b --config ../client-a/aether.config.json
 
 Note: Priority order is: hash > tag > version
+Options are read from ~/.aetherrc, then --config, then the flags (later sources win).
+Prompts are skipped automatically when stdin is not a terminal.
     `)
 }
 
+// ============================================================================
+// 🌱 ENVIRONMENT
+// ============================================================================
+
+/**
+ * Keys whose values are secrets, left empty in .env.example
+ */
+const SECRET_ENV_KEY = /SECRET|PASSWORD|TOKEN|PRIVATE|_KEY$/i
+
+/**
+ * Resolve the .env values. Precedence: flags > prompts > --env-file > defaults.
+ * Secrets are generated unless --env-file provides them.
+ * @param {Object} options - Installation options
+ * @returns {Promise<Object>} The environment values, in file order
+ */
+async function resolveEnvValues(options) {
+    const { question, interactive } = options
+    const canAsk = Boolean(interactive && question)
+
+    let fromFile = {}
+    if (options.envFile) {
+        try {
+            fromFile = parseEnvFile(fs.readFileSync(options.envFile, "utf8"))
+        } catch (error) {
+            throw new InvalidOptionsError(`Could not read env file ${options.envFile}: ${error.message}`)
+        }
+    }
+
+    let port = options.port || fromFile.PORT
+    if (!port && canAsk) {
+        port = (await question("Port (8080): ")).trim()
+    }
+    port = String(port || 8080)
+    if (!/^\d+$/.test(port) || Number(port) < 1 || Number(port) > 65535) {
+        throw new InvalidOptionsError(`Invalid port: ${port}`)
+    }
+
+    let siteUrl = options.siteUrl || fromFile.SITE_URL
+    if (!siteUrl && canAsk) {
+        siteUrl = (await question(`Site URL (http://localhost:${port}): `)).trim()
+    }
+    siteUrl = siteUrl || `http://localhost:${port}`
+    try {
+        new URL(siteUrl)
+    } catch {
+        throw new InvalidOptionsError(`Invalid site URL: ${siteUrl}`)
+    }
+
+    const values = {
+        PORT: port,
+        NODE_ENV: options.nodeEnv || fromFile.NODE_ENV || "development",
+        SITE_URL: siteUrl.replace(/\/$/, ""),
+        SESSION_SECRET: fromFile.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
+        JWT_SECRET: fromFile.JWT_SECRET || crypto.randomBytes(32).toString("hex"),
+    }
+
+    // Known keys first, then any extra keys from --env-file
+    return { ...values, ...fromFile, ...values }
+}
+
+/**
+ * Parse the content of a dotenv file
+ * @param {string} content - KEY=VALUE lines, # comments allowed
+ * @returns {Object} The parsed values
+ */
+function parseEnvFile(content) {
+    const values = {}
+
+    content.split(/\r?\n/).forEach((line) => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/)
+        if (match) {
+            values[match[1]] = match[2].replace(/^(['"])(.*)\1$/, "$2")
+        }
+    })
+
+    return values
+}
+
+/**
+ * Format values as a dotenv file, quoting values that need it
+ * @param {Object} values - The environment values
+ * @returns {string} The file content
+ */
+function formatEnvFile(values) {
+    return (
+        Object.entries(values)
+            .map(([key, value]) => `${key}=${/[\s#"']/.test(value) ? JSON.stringify(value) : value}`)
+            .join("\n") + "\n"
+    )
+}
+
 // ============================================================================
 // 📄 FILE CREATION FUNCTIONS
 // ============================================================================
 
 /**
- * Creates a .env file with initial settings.
+ * Creates the .env file, a matching .env.example without secrets,
+ * and makes sure only the example is tracked by git.
+ * @param {string} targetPath - The project directory
+ * @param {Object} envValues - Values resolved by resolveEnvValues
+ * @param {Object} log - Logger
+ */
+function createEnvFile(targetPath, envValues, log) {
+    fs.writeFileSync(path.join(targetPath, ".env"), formatEnvFile(envValues))
+
+    const exampleValues = Object.fromEntries(
+        Object.entries(envValues).map(([key, value]) => [key, SECRET_ENV_KEY.test(key) ? "" : value])
+    )
+    fs.writeFileSync(
+        path.join(targetPath, ".env.example"),
+        `# Copy to .env and fill in the secrets (e.g. with: openssl rand -hex 32)\n${formatEnvFile(exampleValues)}`
+    )
+
+    ensureEnvIgnored(targetPath)
+    log.info("📄 Created .env file and .env.example")
+}
+
+/**
+ * Add .env to .gitignore, keeping .env.example tracked
  * @param {string} targetPath - The project directory
  */
-function createEnvFile(targetPath) {
-    const envContent = `PORT=8080
-NODE_ENV=development`
+function ensureEnvIgnored(targetPath) {
+    const gitignorePath = path.join(targetPath, ".gitignore")
+    const content = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, "utf8") : ""
+    const lines = content.split(/\r?\n/).map((line) => line.trim())
+    const additions = []
+
+    if (!lines.includes(".env") && !lines.includes("/.env")) {
+        additions.push(".env")
+    }
+    if (lines.some((line) => /^\/?\.env[.*]/.test(line)) && !lines.includes("!.env.example")) {
+        additions.push("!.env.example")
+    }
 
-    fs.writeFileSync(path.join(targetPath, ".env"), envContent)
-    console.log("📄 Created .env file with default settings")
+    if (additions.length > 0) {
+        const separator = content && !content.endsWith("\n") ? "\n" : ""
+        fs.writeFileSync(gitignorePath, `${content}${separator}${additions.join("\n")}\n`)
+    }
 }
 
 /**
@@ -402,8 +1444,10 @@ NODE_ENV=development`
  * @param {string} targetPath - The project directory
  * @param {string} projectName - The name of the project
  * @param {Object} options - Installation options with version info
+ * @returns {Object|undefined} The aetherCMS metadata written to package.json
  */
 function updatePackageJson(targetPath, projectName, options) {
+    const { log } = options
     const packageJsonPath = path.join(targetPath, "package.json")
 
     if (fs.existsSync(packageJsonPath)) {
@@ -414,8 +1458,8 @@ function updatePackageJson(targetPath, projectName, options) {
         try {
             if (options.hash) {
                 installedVersion = options.hash
-            } else if (options.tag) {
-                installedVersion = options.tag
+            } else if (options.tag || options.channelTag) {
+                installedVersion = options.tag || options.channelTag
             } else if (options.version && options.version !== "latest") {
                 installedVersion = options.version
             } else {
@@ -428,7 +1472,14 @@ function updatePackageJson(targetPath, projectName, options) {
                     .substring(0, 7)
             }
         } catch (error) {
-            console.warn("⚠️ Could not determine installed version")
+            log.warn("⚠️ Could not determine installed version")
+        }
+
+        let installedCommit = null
+        try {
+            installedCommit = execSync("git rev-parse HEAD", { encoding: "utf8", cwd: targetPath }).trim()
+        } catch {
+            // Recorded when available, needed by "create-aether-cms finish" after --skip-git
         }
 
         // Store comprehensive template info for updates
@@ -436,16 +1487,25 @@ function updatePackageJson(targetPath, projectName, options) {
             templateName: packageJson.name,
             templateVersion: packageJson.version,
             templateRepository: packageJson.repository,
+            repoUrl: options.repo,
+            packageManager: options.packageManager,
             installedVersion,
+            installedCommit,
             installedAt: new Date().toISOString(),
             installedFrom: "create-aether-cms",
             installOptions: {
                 version: options.version,
-                tag: options.tag,
+                tag: options.tag || options.channelTag,
                 hash: options.hash,
             },
         }
 
+        // Steps deferred with --skip-install/--skip-git, completed by "create-aether-cms finish"
+        const pendingSteps = [options.skipInstall && "install", options.skipGit && "git"].filter(Boolean)
+        if (pendingSteps.length > 0) {
+            originalTemplate.pendingSteps = pendingSteps
+        }
+
         // Update with user-specific values
         packageJson.name = projectName
         packageJson.version = "0.1.0"
@@ -460,9 +1520,12 @@ function updatePackageJson(targetPath, projectName, options) {
         packageJson.scripts.build = packageJson.scripts.build || "node assets/js/generate-static.js --"
         packageJson.scripts["check-updates"] = "node assets/js/check-updates.js"
         packageJson.scripts["update-aether"] = "node assets/js/update-aether.js"
+        packageJson.scripts["rollback-aether"] = "node assets/js/rollback-aether.js"
 
         fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2))
-        console.log(`📦 Updated package.json (installed: ${installedVersion})`)
+        log.info(`📦 Updated package.json (installed: ${installedVersion})`)
+
+        return originalTemplate
     }
 }
 
@@ -470,10 +1533,21 @@ function updatePackageJson(targetPath, projectName, options) {
  * Handle package-lock.json to prevent update conflicts
  * @param {string} targetPath - The project directory
  * @param {string} projectName - The name of the project
+ * @param {string} packageManager - The package manager used for installs
+ * @param {Object} log - Logger
  */
-function updatePackageLockJson(targetPath, projectName) {
+function updatePackageLockJson(targetPath, projectName, packageManager, log) {
     const packageLockPath = path.join(targetPath, "package-lock.json")
 
+    // Other package managers generate their own lockfile and warn about npm's
+    if (packageManager !== "npm") {
+        if (fs.existsSync(packageLockPath)) {
+            fs.unlinkSync(packageLockPath)
+            log.info(`🔒 Removed package-lock.json (${packageManager} generates its own lockfile)`)
+        }
+        return
+    }
+
     if (fs.existsSync(packageLockPath)) {
         try {
             const packageLock = JSON.parse(fs.readFileSync(packageLockPath, "utf8"))
@@ -489,10 +1563,10 @@ function updatePackageLockJson(targetPath, projectName) {
             }
 
             fs.writeFileSync(packageLockPath, JSON.stringify(packageLock, null, 2))
-            console.log("🔒 Updated package-lock.json to prevent conflicts")
+            log.info("🔒 Updated package-lock.json to prevent conflicts")
         } catch (error) {
-            console.warn("⚠️ Could not update package-lock.json:", error.message)
-            console.log("💡 This will be regenerated during npm install")
+            log.warn("⚠️ Could not update package-lock.json:", error.message)
+            log.info("💡 This will be regenerated during dependency installation")
         }
     }
 }
@@ -500,34 +1574,21 @@ function updatePackageLockJson(targetPath, projectName) {
 /**
  * Create .gitattributes file for conflict-free updates
  * @param {string} targetPath - The project directory
+ * @param {Array<{path: string, strategy: string}>} protectedPaths - The project's protected paths
+ * @param {Object} log - Logger
  */
-function createGitAttributes(targetPath) {
-    const gitAttributesContent = `# Aether CMS - Prevent merge conflicts on user-specific files
-package.json merge=ours
-package-lock.json merge=ours
-.env merge=ours
-content/data/settings.json merge=ours
-.gitignore merge=ours
-
-# Handle binary files
-*.png binary
-*.jpg binary
-*.jpeg binary
-*.gif binary
-*.ico binary
-*.pdf binary
-*.zip binary
-`
-
-    fs.writeFileSync(path.join(targetPath, ".gitattributes"), gitAttributesContent)
-    console.log("⚙️ Created .gitattributes for conflict-free updates")
+function createGitAttributes(targetPath, protectedPaths, log) {
+    fs.writeFileSync(path.join(targetPath, ".gitattributes"), renderGitAttributes(protectedPaths))
+    log.info("⚙️ Created .gitattributes for conflict-free updates")
 }
 
 /**
  * Creates default content structure with update-friendly settings
  * @param {string} targetPath - The project directory
+ * @param {Object} settingsOverrides - Settings from flags and the --settings preset
+ * @param {Object} log - Logger
  */
-function createDefaultContent(targetPath) {
+function createDefaultContent(targetPath, settingsOverrides, log) {
     // Create content directories
     const contentDirs = [
         "content/data",
@@ -546,35 +1607,20 @@ function createDefaultContent(targetPath) {
         }
     })
 
-    // Create enhanced settings file
+    // Create enhanced settings file, or apply the overrides to the one shipped by the template
     const settingsFile = path.join(targetPath, "content/data/settings.json")
-    if (!fs.existsSync(settingsFile)) {
-        const settingsContent = {
-            siteTitle: "My Aether Site",
-            siteDescription: "A site built with Aether CMS",
-            postsPerPage: 10,
-            activeTheme: "default",
-            footerCode: "Content in Motion. Powered by Aether.",
-            // Enhanced update system settings
-            updateSettings: {
-                autoCheck: true,
-                checkInterval: 14400000, // 4 hours
-                notifyAdmin: true,
-                updateChannel: "stable",
-                lastChecked: null,
-                conflictResolution: "preserve-user-settings",
-            },
-            // Preserve user customizations during updates
-            userCustomizations: {
-                createdAt: new Date().toISOString(),
-                preserveOnUpdate: true,
-            },
-        }
+    const hasOverrides = Object.keys(settingsOverrides).length > 0
+    if (!fs.existsSync(settingsFile) || hasOverrides) {
+        const baseSettings = fs.existsSync(settingsFile)
+            ? JSON.parse(fs.readFileSync(settingsFile, "utf8"))
+            : getDefaultSettings()
+        const settingsContent = deepMerge(baseSettings, settingsOverrides)
+        assertValidSettings(settingsContent)
 
         fs.writeFileSync(settingsFile, JSON.stringify(settingsContent, null, 2))
     }
 
-    console.log("📁 Created update-friendly content structure")
+    log.info("📁 Created update-friendly content structure")
 }
 
 // ============================================================================
@@ -582,53 +1628,64 @@ function createDefaultContent(targetPath) {
 // ============================================================================
 
 function createProjectFiles(targetPath, options) {
+    const { log } = options
+
     // Enhanced setup with conflict prevention
-    createEnvFile(targetPath)
-    updatePackageJson(targetPath, options.projectName, options)
-    updatePackageLockJson(targetPath, options.projectName)
-    createGitAttributes(targetPath)
-    createDefaultContent(targetPath)
+    createEnvFile(targetPath, options.envValues, log)
+    const metadata = updatePackageJson(targetPath, options.packageName, options)
+    updatePackageLockJson(targetPath, options.packageName, options.packageManager, log)
+    const protectedPaths = resolveProtectedPaths(
+        options.protectedPaths,
+        getPackageManager(options.packageManager).lockfiles
+    )
+    createGitAttributes(targetPath, protectedPaths, log)
+    createDefaultContent(targetPath, options.settingsOverrides, log)
+    createAdminUser(targetPath, options.adminCredentials, log)
+    writeProjectConfig(targetPath, { ...options, protectedPaths })
+    log.info(`⚙️ Saved the project configuration to ${PROJECT_CONFIG_FILE}`)
 
     // Create update scripts
     try {
-        console.log("📜 Creating update scripts...")
-        createUpdateScripts(targetPath)
+        log.info("📜 Creating update scripts...")
+        createUpdateScripts(targetPath, { log })
 
         // Validate the generated scripts
-        if (!validateGeneratedScripts(targetPath)) {
-            console.warn("⚠️ Generated scripts may have issues, but continuing...")
+        if (!validateGeneratedScripts(targetPath, log)) {
+            log.warn("⚠️ Generated scripts may have issues, but continuing...")
         } else {
-            console.log("✅ Update scripts validated successfully")
+            log.info("✅ Update scripts validated successfully")
         }
     } catch (scriptError) {
-        console.error("❌ Failed to create update scripts:", scriptError.message)
-        console.log("💡 You can create them manually later")
+        log.error("❌ Failed to create update scripts:", scriptError.message)
+        log.info("💡 You can create them manually later")
         // Don't exit - continue with the rest of the setup
     }
-}
 
-async function installDependencies(targetPath) {
-    process.chdir(targetPath)
-    console.log("📦 Installing dependencies...")
-    execSync("npm install", { stdio: "inherit" })
+    return metadata
 }
 
-function getSuccessMessage(projectName, targetPath) {
-    return `
-🎉 Success! Created ${projectName} at ${targetPath}
-
-🚀 Get started:
-    cd ${projectName}
-    npm start
-
-🔑 Default credentials:
-    Username: admin
-    Password: admin
-
-🔄 Update commands:
-    npm run check-updates    # Check for updates
-    npm run update-aether    # Apply updates safely
+function addStarterContent(targetPath, options) {
+    const settingsFile = path.join(targetPath, "content/data/settings.json")
+    const settings = fs.existsSync(settingsFile) ? JSON.parse(fs.readFileSync(settingsFile, "utf8")) : {}
+
+    applyStarter(
+        targetPath,
+        options.starterPack,
+        {
+            author: options.adminCredentials.username,
+            date: new Date().toISOString(),
+            siteTitle: settings.siteTitle || "",
+        },
+        options.log
+    )
+}
 
-📚 Documentation: https://aether-cms.pages.dev/
-    `
+async function installDependencies(targetPath, packageManager, log) {
+    log.info(`📦 Installing dependencies with ${packageManager}...`)
+    log.debug(`$ ${getPackageManager(packageManager).install}`)
+    execSync(getPackageManager(packageManager).install, {
+        cwd: targetPath,
+        stdio: log.stdio,
+        maxBuffer: 64 * 1024 * 1024,
+    })
 }
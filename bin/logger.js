@@ -0,0 +1,60 @@
+/**
+ * @file Output of create-aether-cms: console messages and progress events
+ * @module logger
+ */
+
+import { InvalidOptionsError } from "./errors.js"
+
+/**
+ * Log levels, from the least to the most talkative. Warnings and errors are always shown.
+ */
+const LOG_LEVELS = { quiet: 0, normal: 1, verbose: 2 }
+
+/**
+ * Create a logger. Messages are written to the console unless silent, and
+ * every message and step change is also reported to the onProgress callback as
+ * `{ type: "log", level, message }` or `{ type: "step", step, status }`.
+ * @param {Object} [options] - Logger options
+ * @param {Function} [options.onProgress] - Progress callback
+ * @param {boolean} [options.silent] - Do not write to the console
+ * @param {string} [options.level] - "quiet" (warnings and errors), "normal" or "verbose" (with debug messages)
+ * @returns {Object} The logger with debug, info, warn, error and step methods, and the
+ * stdio setting to use for git and package manager commands
+ */
+export function createLogger({ onProgress = null, silent = false, level = "normal" } = {}) {
+    if (!(level in LOG_LEVELS)) {
+        throw new InvalidOptionsError(`Unknown log level '${level}'. Use one of: ${Object.keys(LOG_LEVELS).join(", ")}`)
+    }
+    const threshold = LOG_LEVELS[level]
+
+    const write = (messageLevel, minimum, parts) => {
+        if (threshold < minimum) {
+            return
+        }
+
+        const message = parts.map((part) => (part instanceof Error ? part.message : String(part))).join(" ")
+
+        if (!silent) {
+            const print =
+                messageLevel === "error" ? console.error : messageLevel === "warn" ? console.warn : console.log
+            print(message)
+        }
+        onProgress?.({ type: "log", level: messageLevel, message })
+    }
+
+    return {
+        level,
+        // Child process output goes to the terminal, or is captured into error messages when silent or quiet
+        stdio: silent || threshold < LOG_LEVELS.normal ? "pipe" : "inherit",
+        debug: (...parts) => write("debug", LOG_LEVELS.verbose, parts),
+        info: (...parts) => write("info", LOG_LEVELS.normal, parts),
+        warn: (...parts) => write("warn", LOG_LEVELS.quiet, parts),
+        error: (...parts) => write("error", LOG_LEVELS.quiet, parts),
+        step: (step, status) => onProgress?.({ type: "step", step, status }),
+    }
+}
+
+/**
+ * Logger used when none is passed: console output, no progress events
+ */
+export const defaultLogger = createLogger()
@@ -0,0 +1,72 @@
+/**
+ * @file Package manager detection and commands
+ * @module package-managers
+ */
+
+import { InvalidOptionsError } from "./errors.js"
+
+/**
+ * Supported package managers, their commands and lockfiles.
+ * ci installs exactly what the lockfile lists (used by rollback-aether).
+ */
+export const PACKAGE_MANAGERS = {
+    npm: {
+        install: "npm install",
+        ci: "npm ci",
+        run: "npm run",
+        start: "npm start",
+        lockfiles: ["package-lock.json"],
+    },
+    pnpm: {
+        install: "pnpm install",
+        ci: "pnpm install --frozen-lockfile",
+        run: "pnpm run",
+        start: "pnpm start",
+        lockfiles: ["pnpm-lock.yaml"],
+    },
+    yarn: {
+        install: "yarn install",
+        ci: "yarn install --frozen-lockfile",
+        run: "yarn run",
+        start: "yarn start",
+        lockfiles: ["yarn.lock"],
+    },
+    bun: {
+        install: "bun install",
+        ci: "bun install --frozen-lockfile",
+        run: "bun run",
+        start: "bun run start",
+        lockfiles: ["bun.lock", "bun.lockb"],
+    },
+}
+
+/**
+ * Detect the package manager to use: --use first, then the one that invoked
+ * create-aether-cms (npm_config_user_agent, e.g. "pnpm/9.1.0 npm/? node/v20.11.0"), then npm.
+ * @param {string|null} use - The --use value
+ * @returns {string} The package manager name
+ */
+export function detectPackageManager(use) {
+    if (use) {
+        if (!PACKAGE_MANAGERS[use]) {
+            throw new InvalidOptionsError(
+                `Unsupported package manager '${use}'. Use one of: ${Object.keys(PACKAGE_MANAGERS).join(", ")}`
+            )
+        }
+        return use
+    }
+
+    const userAgent = process.env.npm_config_user_agent || ""
+    const invoker = userAgent.split("/")[0]
+
+    return PACKAGE_MANAGERS[invoker] ? invoker : "npm"
+}
+
+/**
+ * Get the commands and lockfiles of a package manager
+ * @param {string} name - The package manager name
+ * @returns {{install: string, ci: string, run: string, start: string, lockfiles: string[]}}
+ */
+export function getPackageManager(name) {
+    return PACKAGE_MANAGERS[name] || PACKAGE_MANAGERS.npm
+}
@@ -0,0 +1,141 @@
+/**
+ * @file Protected paths: how updates merge the files a project owns.
+ * The list is stored as protectedPaths in aether.config.json; .gitattributes is generated from it
+ * at creation and re-synced by update-aether; the generated update scripts embed the source of the
+ * self-contained functions, so that both validate and render the list the same way.
+ * @module protected-paths
+ */
+
+import { InvalidOptionsError } from "./errors.js"
+
+/**
+ * Merge strategies: keep your version, take upstream's, keep the lines of both, or merge JSON keys
+ */
+export const PROTECTED_PATH_STRATEGIES = ["ours", "theirs", "union", "json"]
+
+/**
+ * Git merge drivers used by the strategies, registered in the project's git config (union is built into git)
+ */
+export const MERGE_DRIVERS = {
+    ours: "true",
+    theirs: "cp -f %B %A",
+    "aether-json": "node assets/js/merge-json.js %O %A %B %P",
+}
+
+/**
+ * The paths protected in every project
+ * @param {string[]} lockfiles - Lockfiles of the project's package manager
+ * @returns {Array<{path: string, strategy: string}>}
+ */
+export function getDefaultProtectedPaths(lockfiles) {
+    return [
+        ...lockfiles.map((lockfile) => ({ path: lockfile, strategy: "ours" })),
+        { path: ".env", strategy: "ours" },
+        { path: "aether.config.json", strategy: "ours" },
+        { path: "content/data/users.json", strategy: "ours" },
+        { path: ".gitignore", strategy: "ours" },
+        { path: "package.json", strategy: "json" },
+        { path: "content/data/settings.json", strategy: "json" },
+    ]
+}
+
+/**
+ * Add configured protected paths to the defaults. An entry for a default path replaces its strategy.
+ * @param {Array<{path: string, strategy: string}>|null} protectedPaths - From the configuration
+ * @param {string[]} lockfiles - Lockfiles of the project's package manager
+ * @returns {Array<{path: string, strategy: string}>} The project's protected paths
+ * @throws {InvalidOptionsError} When an entry is invalid
+ */
+export function resolveProtectedPaths(protectedPaths, lockfiles) {
+    assertValidProtectedPaths(protectedPaths)
+
+    const resolved = getDefaultProtectedPaths(lockfiles)
+    for (const { path, strategy } of protectedPaths || []) {
+        const index = resolved.findIndex((entry) => entry.path === path)
+        resolved.splice(index === -1 ? resolved.length : index, 1, { path, strategy })
+    }
+
+    return resolved
+}
+
+/**
+ * Check protected path entries, reporting every problem at once
+ * @param {Array<{path: string, strategy: string}>|null} protectedPaths - From the configuration
+ * @throws {InvalidOptionsError} When an entry is invalid
+ */
+export function assertValidProtectedPaths(protectedPaths) {
+    const errors = findProtectedPathErrors(protectedPaths)
+    if (errors.length > 0) {
+        throw new InvalidOptionsError(`Invalid protected paths:\n  - ${errors.join("\n  - ")}`, { errors })
+    }
+}
+
+/**
+ * List the problems of protected path entries
+ * @param {Array<{path: string, strategy: string}>|null} protectedPaths - From the configuration
+ * @returns {string[]} One message per problem, none when the entries are valid
+ */
+export function findProtectedPathErrors(protectedPaths) {
+    if (protectedPaths == null) {
+        return []
+    }
+    if (!Array.isArray(protectedPaths)) {
+        return ["protectedPaths must be an array of { path, strategy } entries"]
+    }
+
+    const errors = []
+    protectedPaths.forEach((entry, index) => {
+        if (entry === null || typeof entry !== "object" || Array.isArray(entry)) {
+            errors.push(`protectedPaths[${index}] must be an object`)
+            return
+        }
+        // .gitattributes patterns end at the first whitespace
+        if (typeof entry.path !== "string" || !/^\S+$/.test(entry.path) || entry.path.startsWith("#")) {
+            errors.push(`protectedPaths[${index}].path must be a glob without spaces, such as "content/data/*.json"`)
+        }
+        if (!PROTECTED_PATH_STRATEGIES.includes(entry.strategy)) {
+            errors.push(`protectedPaths[${index}].strategy must be one of: ${PROTECTED_PATH_STRATEGIES.join(", ")}`)
+        }
+    })
+
+    return errors
+}
+
+/**
+ * Render .gitattributes: a generated block with the protected paths and binary file rules,
+ * followed by the rules of the current file that are not generated, which therefore take precedence
+ * @param {Array<{path: string, strategy: string}>} protectedPaths - The project's protected paths
+ * @param {string} [current] - The current .gitattributes content
+ * @returns {string} The new .gitattributes content
+ */
+export function renderGitAttributes(protectedPaths, current = "") {
+    const begin = "# BEGIN Aether CMS protected paths (generated from protectedPaths in aether.config.json)"
+    const end = "# END Aether CMS protected paths"
+    const attributes = { ours: "merge=ours", theirs: "merge=theirs", union: "merge=union", json: "merge=aether-json" }
+    const binaryFiles = ["*.png", "*.jpg", "*.jpeg", "*.gif", "*.ico", "*.pdf", "*.zip"]
+
+    const block = [
+        begin,
+        ...protectedPaths.map(({ path, strategy }) => `${path} ${attributes[strategy]}`),
+        "",
+        "# Handle binary files",
+        ...binaryFiles.map((pattern) => `${pattern} binary`),
+        end,
+    ]
+
+    // Files generated before the block existed: drop the rules and comments the generators wrote
+    const lines = current.split("\n")
+    const first = lines.indexOf(begin)
+    const last = lines.indexOf(end)
+    const own =
+        first !== -1 && last > first
+            ? [...lines.slice(0, first), ...lines.slice(last + 1)]
+            : lines.filter(
+                  (line) =>
+                      !/^# (Aether CMS|Handle binary files|Three-way JSON merge)/.test(line) &&
+                      !/\s(merge=(ours|aether-json)|binary)$/.test(line)
+              )
+
+    const ownRules = own.join("\n").trim()
+    return block.join("\n") + "\n" + (ownRules ? `\n${ownRules}\n` : "")
+}
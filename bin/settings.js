@@ -0,0 +1,191 @@
+/**
+ * @file Site settings defaults, presets and validation
+ * @module settings
+ */
+
+import fs from "fs"
+import { InvalidOptionsError } from "./errors.js"
+import { UPDATE_CHANNELS } from "./versions.js"
+
+/**
+ * Schema of content/data/settings.json. Keys not listed here are allowed
+ * and passed through unchanged, so newer Aether CMS settings keep working.
+ */
+const SETTINGS_SCHEMA = {
+    siteTitle: { type: "string", minLength: 1 },
+    siteDescription: { type: "string" },
+    postsPerPage: { type: "integer", min: 1, max: 100 },
+    activeTheme: { type: "string", pattern: /^[a-z0-9._-]+$/i },
+    footerCode: { type: "string" },
+    updateSettings: {
+        type: "object",
+        properties: {
+            autoCheck: { type: "boolean" },
+            checkInterval: { type: "integer", min: 60000 },
+            notifyAdmin: { type: "boolean" },
+            updateChannel: { type: "string", enum: UPDATE_CHANNELS },
+            lastChecked: { type: "string", nullable: true },
+            conflictResolution: { type: "string" },
+            backupRetention: { type: "integer", min: 0 },
+        },
+    },
+    userCustomizations: {
+        type: "object",
+        properties: {
+            createdAt: { type: "string" },
+            preserveOnUpdate: { type: "boolean" },
+        },
+    },
+}
+
+/**
+ * Get the default site settings with update-friendly preferences
+ * @returns {Object} The default settings
+ */
+export function getDefaultSettings() {
+    return {
+        siteTitle: "My Aether Site",
+        siteDescription: "A site built with Aether CMS",
+        postsPerPage: 10,
+        activeTheme: "default",
+        footerCode: "Content in Motion. Powered by Aether.",
+        // Enhanced update system settings
+        updateSettings: {
+            autoCheck: true,
+            checkInterval: 14400000, // 4 hours
+            notifyAdmin: true,
+            updateChannel: "stable",
+            lastChecked: null,
+            conflictResolution: "preserve-user-settings",
+            backupRetention: 5, // Backups kept by update-aether, restored with rollback-aether
+        },
+        // Preserve user customizations during updates
+        userCustomizations: {
+            createdAt: new Date().toISOString(),
+            preserveOnUpdate: true,
+        },
+    }
+}
+
+/**
+ * Build the settings overrides from the "settings" of a config file, a --settings
+ * preset file and individual flags (--title, --channel...). Flags win over the preset, which wins over the config file.
+ * @param {Object} options - Installation options
+ * @returns {Object} The settings to deep-merge into the defaults
+ */
+export function resolveSettingsOverrides(options) {
+    let preset = {}
+    if (options.settingsFile) {
+        try {
+            preset = JSON.parse(fs.readFileSync(options.settingsFile, "utf8"))
+        } catch (error) {
+            throw new InvalidOptionsError(`Could not read settings preset ${options.settingsFile}: ${error.message}`)
+        }
+        if (!isPlainObject(preset)) {
+            throw new InvalidOptionsError(`Settings preset ${options.settingsFile} must contain a JSON object`)
+        }
+    }
+    preset = deepMerge(options.settings || {}, preset)
+
+    const flags = {
+        siteTitle: options.title,
+        siteDescription: options.description,
+        postsPerPage: options.postsPerPage == null ? undefined : Number(options.postsPerPage),
+        activeTheme: options.themeSpec?.name,
+        updateSettings: options.channel ? { updateChannel: options.channel } : undefined,
+    }
+    Object.keys(flags).forEach((key) => flags[key] == null && delete flags[key])
+
+    const overrides = deepMerge(preset, flags)
+    assertValidSettings(deepMerge(getDefaultSettings(), overrides))
+
+    return overrides
+}
+
+/**
+ * Throw an error listing every schema violation
+ * @param {Object} settings - The settings to validate
+ */
+export function assertValidSettings(settings) {
+    const errors = validateAgainstSchema(settings, SETTINGS_SCHEMA, "")
+    if (errors.length > 0) {
+        throw new InvalidOptionsError(`Invalid site settings:\n  - ${errors.join("\n  - ")}`, { errors })
+    }
+}
+
+/**
+ * Recursively merge plain objects; arrays and other values from source replace those in target
+ * @param {Object} target - The base object (not modified)
+ * @param {Object} source - The object merged on top
+ * @returns {Object} A new merged object
+ */
+export function deepMerge(target, source) {
+    const result = { ...target }
+
+    Object.entries(source || {}).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value
+    })
+
+    return result
+}
+
+/**
+ * Validate an object against a schema
+ * @param {Object} value - The object to validate
+ * @param {Object} schema - Property rules by key
+ * @param {string} prefix - Path of the object, for error messages
+ * @returns {string[]} The errors found
+ */
+function validateAgainstSchema(value, schema, prefix) {
+    const errors = []
+
+    Object.entries(schema).forEach(([key, rule]) => {
+        const name = prefix ? `${prefix}.${key}` : key
+        const item = value[key]
+
+        if (item === undefined || (item === null && rule.nullable)) {
+            return
+        }
+
+        if (rule.type === "object") {
+            if (!isPlainObject(item)) {
+                errors.push(`${name} must be an object`)
+            } else if (rule.properties) {
+                errors.push(...validateAgainstSchema(item, rule.properties, name))
+            }
+            return
+        }
+
+        if (rule.type === "integer" ? !Number.isInteger(item) : typeof item !== rule.type) {
+            errors.push(`${name} must be ${rule.type === "integer" ? "an" : "a"} ${rule.type}`)
+            return
+        }
+
+        if (rule.minLength !== undefined && item.length < rule.minLength) {
+            errors.push(`${name} must not be empty`)
+        }
+        if (rule.min !== undefined && item < rule.min) {
+            errors.push(`${name} must be at least ${rule.min}`)
+        }
+        if (rule.max !== undefined && item > rule.max) {
+            errors.push(`${name} must be at most ${rule.max}`)
+        }
+        if (rule.pattern && !rule.pattern.test(item)) {
+            errors.push(`${name} contains invalid characters`)
+        }
+        if (rule.enum && !rule.enum.includes(item)) {
+            errors.push(`${name} must be one of: ${rule.enum.join(", ")}`)
+        }
+    })
+
+    return errors
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value)
+}
@@ -0,0 +1,144 @@
+/**
+ * @file Starter content packs (sample posts, pages, menus and images)
+ * @module starters
+ */
+
+import { execSync } from "child_process"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { fileURLToPath } from "url"
+import { InvalidOptionsError } from "./errors.js"
+import { defaultLogger } from "./logger.js"
+import { isGitUrl, isLocalPath } from "./template-cache.js"
+
+/**
+ * Starter packs shipped with create-aether-cms
+ */
+const BUILT_IN_STARTERS_DIR = fileURLToPath(new URL("../starters/", import.meta.url))
+
+/**
+ * Text files in which {{placeholders}} are replaced while copying
+ */
+const TEMPLATED_EXTENSIONS = [".md", ".json", ".html", ".txt"]
+
+/**
+ * Load a starter pack: a built-in name, a local directory or a git URL.
+ * A pack contains a content/ directory copied into the project, and an
+ * optional starter.json manifest ({ name, description, settings }).
+ * @param {string|null} starter - The --starter value
+ * @param {Object} [log] - Logger
+ * @returns {{name: string, dir: string|null, settings: Object, cleanup: Function}|null}
+ * The loaded pack, or null when no starter was requested
+ */
+export function loadStarter(starter, log = defaultLogger) {
+    if (!starter) {
+        return null
+    }
+
+    if (starter === "empty") {
+        return { name: "empty", dir: null, settings: {}, cleanup: () => {} }
+    }
+
+    let dir = null
+    let cleanup = () => {}
+
+    if (isGitUrl(starter)) {
+        log.info(`📚 Fetching starter pack from ${starter}...`)
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "aether-starter-"))
+        cleanup = () => fs.rmSync(dir, { recursive: true, force: true })
+        try {
+            execSync(`git clone --depth 1 --quiet "${starter}" "${dir}"`, { stdio: log.stdio })
+        } catch (error) {
+            cleanup()
+            throw new InvalidOptionsError(`Could not fetch starter pack ${starter}: ${error.message}`)
+        }
+    } else if (isLocalPath(starter)) {
+        if (!fs.existsSync(starter)) {
+            throw new InvalidOptionsError(`Starter pack ${starter} does not exist`)
+        }
+        dir = path.resolve(starter)
+    } else if (fs.existsSync(path.join(BUILT_IN_STARTERS_DIR, starter))) {
+        dir = path.join(BUILT_IN_STARTERS_DIR, starter)
+    } else {
+        throw new InvalidOptionsError(
+            `Unknown starter '${starter}'. Use one of: ${listBuiltInStarters().join(", ")}, empty, a path or a git URL.`
+        )
+    }
+
+    if (!fs.existsSync(path.join(dir, "content"))) {
+        cleanup()
+        throw new InvalidOptionsError(`Starter pack ${starter} has no content/ directory`)
+    }
+
+    const manifestPath = path.join(dir, "starter.json")
+    let manifest = {}
+    if (fs.existsSync(manifestPath)) {
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+        } catch (error) {
+            cleanup()
+            throw new InvalidOptionsError(`Invalid starter.json in ${starter}: ${error.message}`)
+        }
+    }
+
+    return { name: manifest.name || path.basename(dir), dir, settings: manifest.settings || {}, cleanup }
+}
+
+/**
+ * Copy a starter pack's content into the project
+ * @param {string} targetPath - The project directory
+ * @param {Object|null} starter - Result of loadStarter
+ * @param {Object} values - Values for {{placeholders}} (e.g. author, date)
+ * @param {Object} [log] - Logger
+ */
+export function applyStarter(targetPath, starter, values, log = defaultLogger) {
+    if (!starter?.dir) {
+        return
+    }
+
+    copyWithPlaceholders(path.join(starter.dir, "content"), path.join(targetPath, "content"), values)
+    log.info(`📚 Added "${starter.name}" starter content`)
+}
+
+/**
+ * List the starter packs shipped with create-aether-cms
+ * @returns {string[]} Starter names
+ */
+export function listBuiltInStarters() {
+    if (!fs.existsSync(BUILT_IN_STARTERS_DIR)) {
+        return []
+    }
+
+    return fs
+        .readdirSync(BUILT_IN_STARTERS_DIR, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort()
+}
+
+/**
+ * Recursively copy a directory, replacing {{key}} placeholders in text files
+ * @param {string} source - The directory to copy
+ * @param {string} destination - Where to copy it
+ * @param {Object} values - Placeholder values
+ */
+function copyWithPlaceholders(source, destination, values) {
+    fs.mkdirSync(destination, { recursive: true })
+
+    fs.readdirSync(source, { withFileTypes: true }).forEach((entry) => {
+        const from = path.join(source, entry.name)
+        const to = path.join(destination, entry.name)
+
+        if (entry.isDirectory()) {
+            copyWithPlaceholders(from, to, values)
+        } else if (TEMPLATED_EXTENSIONS.includes(path.extname(entry.name))) {
+            const content = fs
+                .readFileSync(from, "utf8")
+                .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match))
+            fs.writeFileSync(to, content)
+        } else {
+            fs.copyFileSync(from, to)
+        }
+    })
+}
@@ -0,0 +1,187 @@
+/**
+ * @file Local cache of template repositories for offline installations
+ * @module template-cache
+ */
+
+import { execSync } from "child_process"
+import crypto from "crypto"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { InvalidOptionsError } from "./errors.js"
+import { defaultLogger } from "./logger.js"
+
+/**
+ * Check whether a repository source is a URL (https, ssh, file://, or scp-like git@host:path)
+ * rather than a local path
+ * @param {string} source - Repository URL or path
+ * @returns {boolean}
+ */
+export function isGitUrl(source) {
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(source) || /^[^/\\]+@[^/\\]+:/.test(source)
+}
+
+/**
+ * Check whether a value is written as a local path (it contains a separator or starts with "."),
+ * as opposed to a bare name such as a bundled theme or a built-in starter
+ * @param {string} source - Path or name
+ * @returns {boolean}
+ */
+export function isLocalPath(source) {
+    return !isGitUrl(source) && (/[/\\]/.test(source) || source.startsWith("."))
+}
+
+/**
+ * Get the per-user cache directory for create-aether-cms
+ * Honors CREATE_AETHER_CMS_CACHE_DIR, then the platform conventions.
+ * @returns {string} Absolute path of the cache directory
+ */
+export function getCacheDir() {
+    if (process.env.CREATE_AETHER_CMS_CACHE_DIR) {
+        return path.resolve(process.env.CREATE_AETHER_CMS_CACHE_DIR)
+    }
+
+    if (process.platform === "win32") {
+        const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), "AppData", "Local")
+        return path.join(localAppData, "create-aether-cms", "Cache")
+    }
+
+    if (process.platform === "darwin") {
+        return path.join(os.homedir(), "Library", "Caches", "create-aether-cms")
+    }
+
+    return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"), "create-aether-cms")
+}
+
+/**
+ * Branches and tags are all the cache needs (a plain mirror would also copy refs such as GitHub's refs/pull/*)
+ */
+const CACHE_REFSPECS = ["+refs/heads/*:refs/heads/*", "+refs/tags/*:refs/tags/*"]
+
+/**
+ * Get the location of the cached mirror for a repository
+ * @param {string} repoUrl - The template repository URL
+ * @returns {string} Absolute path of the bare mirror
+ */
+export function getCachePath(repoUrl) {
+    const slug = repoUrl
+        .replace(/\.git$/, "")
+        .split(/[/:\\]/)
+        .filter(Boolean)
+        .slice(-2)
+        .join("-")
+        .replace(/[^a-z0-9._-]/gi, "_")
+    const hash = crypto.createHash("sha1").update(repoUrl).digest("hex").substring(0, 8)
+
+    return path.join(getCacheDir(), "templates", `${slug}-${hash}.git`)
+}
+
+/**
+ * Check whether a usable cached mirror exists for a repository
+ * @param {string} repoUrl - The template repository URL
+ * @returns {boolean}
+ */
+export function hasCache(repoUrl) {
+    return fs.existsSync(path.join(getCachePath(repoUrl), "HEAD"))
+}
+
+/**
+ * Create or refresh the cached mirror of a repository
+ * @param {string} repoUrl - The template repository URL
+ * @returns {string} Absolute path of the refreshed mirror
+ */
+export function refreshCache(repoUrl) {
+    const cachePath = getCachePath(repoUrl)
+    const fetch = (cwd) => {
+        execSync(`git config --replace-all remote.origin.fetch "${CACHE_REFSPECS[0]}"`, { cwd, stdio: "ignore" })
+        execSync(`git config --add remote.origin.fetch "${CACHE_REFSPECS[1]}"`, { cwd, stdio: "ignore" })
+        execSync("git fetch --prune --quiet origin", { cwd, stdio: "ignore" })
+    }
+
+    if (hasCache(repoUrl)) {
+        fetch(cachePath)
+        return cachePath
+    }
+
+    // Mirror into a temporary directory first so an interrupted clone never looks like a valid cache
+    const tempPath = `${cachePath}.tmp-${process.pid}`
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true })
+    fs.rmSync(tempPath, { recursive: true, force: true })
+
+    try {
+        // A bare clone keeps the default branch as HEAD; the refspecs make later refreshes prune like a mirror
+        execSync(`git clone --bare --quiet "${repoUrl}" "${tempPath}"`, { stdio: "ignore" })
+        fetch(tempPath)
+        fs.rmSync(cachePath, { recursive: true, force: true })
+        fs.renameSync(tempPath, cachePath)
+    } catch (error) {
+        fs.rmSync(tempPath, { recursive: true, force: true })
+        throw error
+    }
+
+    return cachePath
+}
+
+/**
+ * Resolve where the template should be fetched from.
+ * Online, an existing cache is refreshed and used; if refreshing fails, the stale cache is
+ * preferred over the network. Without a cache the target is fetched straight from the repository,
+ * unless the full history is needed anyway or the cache is explicitly requested.
+ * Offline, only the cache is used.
+ * @param {string} repoUrl - The template repository URL or local path
+ * @param {Object} options - Resolution options
+ * @param {boolean} options.offline - Never touch the network
+ * @param {boolean} options.cache - Whether the cache may be used at all
+ * @param {boolean} [options.refreshCache] - Create the cache when it does not exist yet
+ * @param {boolean} [options.fullHistory] - The whole repository is fetched, so create the cache too
+ * @param {Object} [options.log] - Logger
+ * @returns {string} The URL or path to clone from
+ */
+export function resolveTemplateSource(
+    repoUrl,
+    { offline = false, cache = true, refreshCache: createCache = false, fullHistory = false, log = defaultLogger } = {}
+) {
+    // Local repositories are already available offline
+    if (path.isAbsolute(repoUrl) && fs.existsSync(repoUrl)) {
+        return repoUrl
+    }
+
+    if (offline) {
+        if (!cache) {
+            throw new InvalidOptionsError("--offline cannot be combined with --no-cache")
+        }
+        if (!hasCache(repoUrl)) {
+            throw new InvalidOptionsError(
+                `No cached copy of ${repoUrl}. Run create-aether-cms with --refresh-cache while online to create it.`
+            )
+        }
+
+        log.info("📴 Offline mode: using cached template")
+        return getCachePath(repoUrl)
+    }
+
+    if (!cache) {
+        if (createCache) {
+            throw new InvalidOptionsError("--refresh-cache cannot be combined with --no-cache")
+        }
+        return repoUrl
+    }
+
+    // Mirroring the whole repository would make a cold start slower than fetching the target directly
+    if (!hasCache(repoUrl) && !createCache && !fullHistory) {
+        return repoUrl
+    }
+
+    try {
+        log.info("🗄️ Refreshing local template cache...")
+        return refreshCache(repoUrl)
+    } catch (error) {
+        if (hasCache(repoUrl)) {
+            log.warn("⚠️ Could not refresh template cache, using cached copy:", error.message)
+            return getCachePath(repoUrl)
+        }
+
+        log.warn("⚠️ Could not create template cache:", error.message)
+        return repoUrl
+    }
+}
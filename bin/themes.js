@@ -0,0 +1,206 @@
+/**
+ * @file Theme selection and installation for new Aether CMS projects
+ * @module themes
+ */
+
+import { execSync } from "child_process"
+import fs from "fs"
+import path from "path"
+import { InvalidOptionsError } from "./errors.js"
+import { defaultLogger } from "./logger.js"
+import { isGitUrl, isLocalPath } from "./template-cache.js"
+
+/**
+ * Where Aether CMS looks for themes, relative to the project root
+ */
+const THEMES_DIR = "content/themes"
+
+/**
+ * Files every Aether CMS theme must provide
+ */
+const REQUIRED_THEME_FILES = ["theme.json", "templates/layout.html"]
+
+/**
+ * Work out what a --theme value refers to
+ * @param {string|null} theme - A bundled theme name, a git URL or a local path
+ * @returns {{type: string, name: string, source: string}|null} The theme spec, or null when not given
+ */
+export function resolveThemeSpec(theme) {
+    if (!theme) {
+        return null
+    }
+
+    if (isGitUrl(theme)) {
+        return { type: "git", name: toThemeName(theme), source: theme }
+    }
+
+    if (isLocalPath(theme)) {
+        if (!fs.existsSync(theme)) {
+            throw new InvalidOptionsError(`Theme path ${theme} does not exist`)
+        }
+        const source = path.resolve(theme)
+        return { type: "path", name: toThemeName(source), source }
+    }
+
+    if (!/^[a-z0-9._-]+$/i.test(theme)) {
+        throw new InvalidOptionsError(`Theme '${theme}' is neither a theme name, a git URL nor an existing path`)
+    }
+
+    return { type: "name", name: theme, source: theme }
+}
+
+/**
+ * Install the requested theme (or let the user pick a bundled one) and activate it
+ * @param {string} targetPath - The project directory
+ * @param {Object} options - Installation options
+ * @param {Object|null} options.themeSpec - Result of resolveThemeSpec
+ * @param {Object} [options.log] - Logger
+ * @returns {Promise<string|null>} The active theme name, or null when left unchanged
+ */
+export async function setupTheme(targetPath, options) {
+    const { themeSpec, question, interactive, log = defaultLogger } = options
+    const themesDir = path.join(targetPath, THEMES_DIR)
+
+    let name = themeSpec?.name
+    if (!themeSpec) {
+        if (!interactive || !question) {
+            return null
+        }
+        name = await pickTheme(themesDir, question, log)
+        if (!name) {
+            return null
+        }
+    } else if (themeSpec.type !== "name") {
+        installTheme(themesDir, themeSpec, log)
+    } else if (!fs.existsSync(path.join(themesDir, name))) {
+        const available = listThemes(themesDir)
+        throw new InvalidOptionsError(
+            `Theme '${name}' is not bundled with this version` +
+                (available.length > 0 ? ` (available: ${available.join(", ")})` : "") +
+                ". Use a git URL or a local path to install another theme."
+        )
+    }
+
+    const problems = validateTheme(path.join(themesDir, name))
+    if (problems.length > 0) {
+        throw new InvalidOptionsError(`Theme '${name}' is not a valid Aether CMS theme: ${problems.join(", ")}`)
+    }
+
+    activateTheme(targetPath, name)
+    log.info(`🎨 Activated theme "${name}"`)
+
+    return name
+}
+
+/**
+ * Copy or clone a theme into the themes directory
+ * @param {string} themesDir - The project's themes directory
+ * @param {{type: string, name: string, source: string}} themeSpec - The theme to install
+ * @param {Object} log - Logger
+ */
+function installTheme(themesDir, themeSpec, log) {
+    const destination = path.join(themesDir, themeSpec.name)
+    if (fs.existsSync(destination)) {
+        throw new InvalidOptionsError(`A theme named '${themeSpec.name}' already exists in ${THEMES_DIR}`)
+    }
+
+    log.info(`🎨 Installing theme "${themeSpec.name}" from ${themeSpec.source}...`)
+    fs.mkdirSync(themesDir, { recursive: true })
+
+    if (themeSpec.type === "git") {
+        execSync(`git clone --depth 1 --quiet "${themeSpec.source}" "${destination}"`, { stdio: log.stdio })
+        // The theme becomes part of the project, not a nested repository
+        fs.rmSync(path.join(destination, ".git"), { recursive: true, force: true })
+    } else {
+        fs.cpSync(themeSpec.source, destination, {
+            recursive: true,
+            filter: (source) => ![".git", "node_modules"].includes(path.basename(source)),
+        })
+    }
+}
+
+/**
+ * Ask the user to choose one of the bundled themes
+ * @param {string} themesDir - The project's themes directory
+ * @param {Function} question - Prompt function
+ * @param {Object} log - Logger
+ * @returns {Promise<string|null>} The chosen theme, or null to keep the default
+ */
+async function pickTheme(themesDir, question, log) {
+    const themes = listThemes(themesDir)
+    if (themes.length < 2) {
+        return null
+    }
+
+    log.info("\n🎨 Available themes:")
+    themes.forEach((theme, index) => log.info(`  ${index + 1}. ${theme}`))
+
+    const answer = (await question(`Choose a theme [1-${themes.length}] (Enter to keep the default): `)).trim()
+    const index = Number(answer) - 1
+
+    return Number.isInteger(index) && themes[index] ? themes[index] : null
+}
+
+/**
+ * List the theme directories of a project
+ * @param {string} themesDir - The project's themes directory
+ * @returns {string[]} Theme names
+ */
+function listThemes(themesDir) {
+    if (!fs.existsSync(themesDir)) {
+        return []
+    }
+
+    return fs
+        .readdirSync(themesDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+        .map((entry) => entry.name)
+        .sort()
+}
+
+/**
+ * Check that a theme directory contains the files Aether CMS expects
+ * @param {string} themePath - The theme directory
+ * @returns {string[]} The problems found
+ */
+function validateTheme(themePath) {
+    const problems = REQUIRED_THEME_FILES.filter((file) => !fs.existsSync(path.join(themePath, file))).map(
+        (file) => `missing ${file}`
+    )
+
+    const manifest = path.join(themePath, "theme.json")
+    if (fs.existsSync(manifest)) {
+        try {
+            JSON.parse(fs.readFileSync(manifest, "utf8"))
+        } catch {
+            problems.push("theme.json is not valid JSON")
+        }
+    }
+
+    return problems
+}
+
+/**
+ * Set the active theme in content/data/settings.json
+ * @param {string} targetPath - The project directory
+ * @param {string} name - The theme name
+ */
+function activateTheme(targetPath, name) {
+    const settingsFile = path.join(targetPath, "content/data/settings.json")
+    const settings = fs.existsSync(settingsFile) ? JSON.parse(fs.readFileSync(settingsFile, "utf8")) : {}
+
+    settings.activeTheme = name
+    fs.writeFileSync(settingsFile, JSON.stringify(settings, null, 2))
+}
+
+/**
+ * Derive a theme directory name from a git URL or path
+ * @param {string} source - The theme source
+ * @returns {string} The theme name
+ */
+function toThemeName(source) {
+    return path
+        .basename(source.replace(/[/\\]+$/, "").replace(/\.git$/, ""))
+        .replace(/^.*:/, "")
+        .replace(/[^a-z0-9._-]/gi, "-")
+}
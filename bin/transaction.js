@@ -0,0 +1,98 @@
+/**
+ * @file Transactional install steps with automatic rollback
+ * @module transaction
+ */
+
+import { AetherError, InstallStepError } from "./errors.js"
+import { defaultLogger } from "./logger.js"
+
+/**
+ * Create a transaction for the installation steps.
+ * Each step registers its undo action before it runs, so a step that fails
+ * halfway is cleaned up as well. Undo actions run in reverse order and must
+ * be synchronous so they can also run from a signal handler.
+ * @param {Object} options - Transaction options
+ * @param {boolean} options.keepOnFailure - Skip the rollback and keep everything for debugging
+ * @param {Object} [options.log] - Logger, also notified when steps start, finish and fail
+ * @returns {Object} The transaction with step, onUndo, rollback and commit methods
+ */
+export function createTransaction({ keepOnFailure = false, log = defaultLogger } = {}) {
+    const undoActions = []
+    let state = "pending"
+
+    /**
+     * Register an undo action for changes made outside of a step
+     * @param {string} description - What the action undoes
+     * @param {Function} action - Synchronous undo action
+     */
+    function onUndo(description, action) {
+        undoActions.push({ description, action })
+    }
+
+    /**
+     * Run one step of the transaction
+     * @param {string} name - Step name, used in rollback messages
+     * @param {Function} run - The step itself (may be async)
+     * @param {Function} [undo] - Synchronous action reverting the step
+     * @returns {Promise<*>} The step result
+     * @throws {AetherError} The step's own AetherError, or an InstallStepError wrapping any other error
+     */
+    async function step(name, run, undo) {
+        if (state !== "pending") {
+            throw new Error(`Cannot run step "${name}": transaction already ${state}`)
+        }
+
+        if (undo) {
+            onUndo(name, undo)
+        }
+
+        log.step(name, "start")
+        try {
+            const result = await run()
+            log.step(name, "done")
+            return result
+        } catch (error) {
+            log.step(name, "failed")
+            throw error instanceof AetherError ? error : new InstallStepError(name, error)
+        }
+    }
+
+    /**
+     * Undo every registered action, most recent first. Safe to call more than once.
+     * @returns {boolean} Whether a rollback was performed
+     */
+    function rollback() {
+        if (state !== "pending") {
+            return false
+        }
+        state = "rolled back"
+
+        if (keepOnFailure) {
+            log.info("💡 Keeping partially created files for debugging (--keep-on-failure)")
+            return false
+        }
+
+        log.info("↩️ Rolling back installation...")
+        for (const { description, action } of undoActions.reverse()) {
+            try {
+                action()
+                log.step(description, "undone")
+            } catch (error) {
+                log.warn(`⚠️ Could not undo "${description}":`, error.message)
+            }
+        }
+        log.info("✅ Rollback complete")
+
+        return true
+    }
+
+    /**
+     * Mark the transaction as successful, discarding all undo actions
+     */
+    function commit() {
+        state = "committed"
+        undoActions.length = 0
+    }
+
+    return { step, onUndo, rollback, commit }
+}
@@ -6,31 +6,52 @@
 import fs from "fs"
 import path from "path"
 import { execSync } from "child_process"
+import { defaultLogger } from "./logger.js"
+import { PACKAGE_MANAGERS } from "./package-managers.js"
+import {
+    findProtectedPathErrors,
+    getDefaultProtectedPaths,
+    MERGE_DRIVERS,
+    PROTECTED_PATH_STRATEGIES,
+    renderGitAttributes,
+} from "./protected-paths.js"
+import { compareVersionTags, parseVersionTag, selectChannelTag, UPDATE_CHANNELS } from "./versions.js"
 
 /**
- * Configuration for update scripts
+ * The official Aether CMS template repository
+ */
+export const DEFAULT_REPO_URL = "https://github.com/LebCit/aether-cms.git"
+
+/**
+ * Configuration for update scripts. The remote, branches and repository are defaults:
+ * the scripts read the project's own values from aether.config.json when they run.
  */
 const CONFIG = {
-    REPO_URL: "https://github.com/LebCit/aether-cms.git",
+    REPO_URL: DEFAULT_REPO_URL,
     REMOTE_NAME: "upstream",
     DEFAULT_BRANCH: "main",
     SCRIPTS_DIR: "assets/js",
     SCRIPTS: {
         CHECK_UPDATES: "check-updates.js",
         UPDATE_AETHER: "update-aether.js",
+        ROLLBACK_AETHER: "rollback-aether.js",
+        MERGE_JSON: "merge-json.js",
+        UPDATE_UTILS: "update-utils.js",
     },
 }
 
 /**
- * Create enhanced update scripts compatible with EnhancedUpdateService
+ * Create enhanced update scripts compatible with EnhancedUpdateService.
+ * They are the same for every project: repository, remote, branches and package manager
+ * are read from aether.config.json (or the aetherCMS block of package.json) at run time.
  * @param {string} targetPath - The project directory
  * @param {Object} options - Configuration options
  * @param {string} options.scriptsDir - Custom scripts directory (optional)
- * @param {string} options.repoUrl - Custom repository URL (optional)
+ * @param {Object} options.log - Logger (optional)
  */
 export function createUpdateScripts(targetPath, options = {}) {
-    const config = { ...CONFIG, ...options }
-    const scriptsDir = path.join(targetPath, config.scriptsDir || CONFIG.SCRIPTS_DIR)
+    const scriptsDir = path.join(targetPath, options.scriptsDir || CONFIG.SCRIPTS_DIR)
+    const log = options.log || defaultLogger
 
     // Ensure scripts directory exists
     if (!fs.existsSync(scriptsDir)) {
@@ -39,59 +60,70 @@ export function createUpdateScripts(targetPath, options = {}) {
 
     try {
         // Create check-updates script
-        const checkUpdatesScript = getCheckUpdatesScript(config)
+        const checkUpdatesScript = getCheckUpdatesScript()
         fs.writeFileSync(path.join(scriptsDir, CONFIG.SCRIPTS.CHECK_UPDATES), checkUpdatesScript)
 
         // Create update script
-        const updateScript = getUpdateScript(config)
+        const updateScript = getUpdateScript()
         fs.writeFileSync(path.join(scriptsDir, CONFIG.SCRIPTS.UPDATE_AETHER), updateScript)
 
+        // Create rollback script
+        fs.writeFileSync(path.join(scriptsDir, CONFIG.SCRIPTS.ROLLBACK_AETHER), getRollbackScript())
+
+        // Create the git merge driver for package.json and settings.json
+        fs.writeFileSync(path.join(scriptsDir, CONFIG.SCRIPTS.MERGE_JSON), getMergeJsonScript())
+
+        // Create the helpers shared by both scripts (configuration, output modes and log levels)
+        fs.writeFileSync(path.join(scriptsDir, CONFIG.SCRIPTS.UPDATE_UTILS), getUpdateUtilsScript())
+
         // Make scripts executable on Unix systems
         makeScriptsExecutable(scriptsDir)
 
-        console.log("📜 Created enhanced update scripts")
+        log.info("📜 Created enhanced update scripts")
         return {
             scriptsDir,
-            scripts: [
-                path.join(scriptsDir, CONFIG.SCRIPTS.CHECK_UPDATES),
-                path.join(scriptsDir, CONFIG.SCRIPTS.UPDATE_AETHER),
-            ],
+            scripts: Object.values(CONFIG.SCRIPTS).map((script) => path.join(scriptsDir, script)),
         }
     } catch (error) {
-        console.error("❌ Failed to create update scripts:", error.message)
+        log.error("❌ Failed to create update scripts:", error.message)
         throw error
     }
 }
 
 /**
- * Get the check-updates script template with configuration
- * @param {Object} config - Configuration object
+ * Get the check-updates script template
  * @returns {string} Script content
  */
-function getCheckUpdatesScript(config) {
+function getCheckUpdatesScript() {
     return `#!/usr/bin/env node
 /**
  * Enhanced update checker for Aether CMS
  * Handles all git repository states
+ * Usage: node assets/js/check-updates.js [--channel <stable|beta|edge> | --to <version|tag|commit>]
+ *        [--json] [--quiet|--verbose]
  * Generated by create-aether-cms
  */
-import { execSync } from 'child_process'
+import { CONFIG, emit, log, resolveUpdateTarget, run } from './update-utils.js'
 
-// Configuration
-const REPO_URL = '${config.repoUrl || CONFIG.REPO_URL}'
-const REMOTE_NAME = '${config.remoteName || CONFIG.REMOTE_NAME}'
-const DEFAULT_BRANCH = '${config.defaultBranch || CONFIG.DEFAULT_BRANCH}'
+// Configuration, from aether.config.json
+const REPO_URL = CONFIG.repoUrl
+const REMOTE_NAME = CONFIG.remoteName
+const DEFAULT_BRANCH = CONFIG.branch
+const UPSTREAM_BRANCH = CONFIG.upstreamBranch
+const RUN_COMMAND = CONFIG.packageManager.run
 
-console.log('🔍 Checking for Aether CMS updates...')
+log.info('🔍 Checking for Aether CMS updates...')
 
 try {
     await ensureProperGitBranch()
     await ensureUpstreamRemote()
     await fetchUpstreamChanges()
-    await compareVersions()
-    
+    const report = await compareVersions()
+
+    emit({ type: 'result', success: true, ...report })
 } catch (error) {
-    console.error('❌ Failed to check for updates:', error.message)
+    log.error('❌ Failed to check for updates:', error.message)
+    emit({ type: 'result', success: false, error: error.message })
     await diagnoseGitIssues()
     process.exit(1)
 }
@@ -100,50 +132,51 @@ async function ensureProperGitBranch() {
     try {
         let currentBranch = ''
         try {
-            currentBranch = execSync('git symbolic-ref --short HEAD', { encoding: 'utf8' }).trim()
+            currentBranch = run('git symbolic-ref --short HEAD', { encoding: 'utf8' }).trim()
         } catch {
             // We're in detached HEAD state
         }
         
         if (!currentBranch) {
-            console.log('🔄 Setting up git branch for updates...')
+            log.info('🔄 Setting up git branch for updates...')
             try {
-                execSync(\`git switch -c \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
+                run(\`git switch -c \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
             } catch {
                 try {
-                    execSync(\`git checkout -b \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
+                    run(\`git checkout -b \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
                 } catch {
-                    const currentCommit = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim()
-                    execSync(\`git branch \${DEFAULT_BRANCH} \${currentCommit}\`, { stdio: 'ignore' })
-                    execSync(\`git checkout \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
+                    const currentCommit = run('git rev-parse HEAD', { encoding: 'utf8' }).trim()
+                    run(\`git branch \${DEFAULT_BRANCH} \${currentCommit}\`, { stdio: 'ignore' })
+                    run(\`git checkout \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
                 }
             }
-            console.log('✅ Git branch setup complete')
+            log.info('✅ Git branch setup complete')
         }
     } catch (branchError) {
-        console.warn('⚠️ Branch setup issue:', branchError.message)
+        log.warn('⚠️ Branch setup issue:', branchError.message)
     }
 }
 
 async function ensureUpstreamRemote() {
+    const normalize = (url) => url.replace(/\\.git$/, '').replace(/\\/$/, '')
     try {
-        const upstreamUrl = execSync(\`git remote get-url \${REMOTE_NAME}\`, { encoding: 'utf8' }).trim()
-        if (!upstreamUrl.includes(REPO_URL.replace('https://github.com/', '').replace('.git', ''))) {
-            execSync(\`git remote set-url \${REMOTE_NAME} \${REPO_URL}\`, { stdio: 'ignore' })
+        const upstreamUrl = run(\`git remote get-url \${REMOTE_NAME}\`, { encoding: 'utf8' }).trim()
+        if (normalize(upstreamUrl) !== normalize(REPO_URL)) {
+            run(\`git remote set-url \${REMOTE_NAME} "\${REPO_URL}"\`, { stdio: 'ignore' })
         }
     } catch {
-        execSync(\`git remote add \${REMOTE_NAME} \${REPO_URL}\`, { stdio: 'ignore' })
+        run(\`git remote add \${REMOTE_NAME} "\${REPO_URL}"\`, { stdio: 'ignore' })
     }
 }
 
 async function fetchUpstreamChanges() {
-    console.log('📥 Fetching latest information...')
+    log.info('📥 Fetching latest information...')
     
     // Try multiple fetch strategies
     const fetchStrategies = [
-        () => execSync(\`git fetch \${REMOTE_NAME} --unshallow\`, { stdio: 'ignore' }),
-        () => execSync(\`git fetch \${REMOTE_NAME}\`, { stdio: 'ignore' }),
-        () => execSync(\`git fetch \${REMOTE_NAME} \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
+        () => run(\`git fetch \${REMOTE_NAME} --unshallow\`, { stdio: 'ignore' }),
+        () => run(\`git fetch \${REMOTE_NAME}\`, { stdio: 'ignore' }),
+        () => run(\`git fetch \${REMOTE_NAME} \${UPSTREAM_BRANCH}\`, { stdio: 'ignore' })
     ]
     
     for (const strategy of fetchStrategies) {
@@ -159,196 +192,1364 @@ async function fetchUpstreamChanges() {
 }
 
 async function compareVersions() {
+    const currentCommit = run('git rev-parse HEAD', { encoding: 'utf8' }).trim()
+
+    // The channel decides what "latest" means: a release tag or the upstream branch
+    const target = resolveUpdateTarget()
+    const channelInfo = { channel: target.channel, target: target.name }
+    const source = target.channel ? \`the latest \${target.channel} version\` : target.name
+    if (target.channel) {
+        log.info(\`📡 Update channel: \${target.channel} (\${target.name})\`)
+    } else {
+        log.info(\`🎯 Target: \${target.name}\`)
+    }
+
+    let latestCommit = null
     try {
-        const currentCommit = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim()
-        const latestCommit = execSync(\`git rev-parse \${REMOTE_NAME}/\${DEFAULT_BRANCH}\`, { encoding: 'utf8' }).trim()
-        
-        if (currentCommit !== latestCommit) {
-            console.log('✨ Updates available!')
-            console.log('🎯 Run "npm run update-aether" to update safely')
-            
-            await showUpdateDetails(currentCommit, latestCommit)
-        } else {
-            console.log('✅ You are running the latest version!')
-        }
+        latestCommit = run(\`git rev-parse \${target.ref}^{commit}\`, { encoding: 'utf8' }).trim()
     } catch (compareError) {
-        console.log('📋 Could not compare versions, but updates may be available')
-        console.log('💡 Try running "npm run update-aether" to check for updates')
+        log.info('📋 Could not compare versions, but updates may be available')
+        log.info(\`💡 Try running "\${RUN_COMMAND} update-aether" to check for updates\`)
+        return { updateAvailable: null, ...channelInfo, currentCommit, latestCommit, commits: [], changedFiles: null }
     }
-}
 
-async function showUpdateDetails(currentCommit, latestCommit) {
-    try {
-        const changes = execSync(\`git log --oneline \${currentCommit}..\${latestCommit}\`, { encoding: 'utf8' })
-        console.log('\\n📋 Recent changes:')
-        console.log(changes)
-        
-        const diffStat = execSync(\`git diff --stat \${currentCommit}..\${latestCommit}\`, { encoding: 'utf8' })
-        const fileCount = (diffStat.match(/\\d+ files? changed/g) || ['0 files changed'])[0]
-        console.log('📁 Changes:', fileCount)
-    } catch (logError) {
-        console.log('📋 Update details available after running update command')
+    // Only upstream commits not merged yet count, your own commits do not
+    const details = getUpdateDetails(currentCommit, latestCommit)
+    const updateAvailable = details.commits.length > 0
+
+    if (updateAvailable) {
+        log.result(\`✨ Updates available: \${target.name}\`)
+        log.info(\`🎯 Run "\${RUN_COMMAND} update-aether" to update safely\`)
+        showUpdateDetails(details)
+    } else {
+        log.result(\`✅ You are running \${source}!\`)
     }
+
+    return { updateAvailable, ...channelInfo, currentCommit, latestCommit, ...details }
+}
+
+function getUpdateDetails(currentCommit, latestCommit) {
+    const commits = run(\`git log --format=%H%x09%s \${currentCommit}..\${latestCommit}\`, { encoding: 'utf8' })
+        .split('\\n')
+        .filter(Boolean)
+        .map((line) => {
+            const [hash, ...subject] = line.split('\\t')
+            return { hash, subject: subject.join('\\t') }
+        })
+
+    // Files changed upstream since your last merge
+    const changedFiles = run(\`git diff --name-only \${currentCommit}...\${latestCommit}\`, { encoding: 'utf8' })
+        .split('\\n')
+        .filter(Boolean).length
+
+    return { commits, changedFiles }
+}
+
+function showUpdateDetails({ commits, changedFiles }) {
+    log.info('\\n📋 Recent changes:')
+    commits.forEach((commit) => log.info(\`\${commit.hash.substring(0, 7)} \${commit.subject}\`))
+    log.info(\`📁 Changes: \${changedFiles} file\${changedFiles === 1 ? '' : 's'} changed\`)
 }
 
 async function diagnoseGitIssues() {
-    console.log('💡 Make sure you are in the project directory and have git initialized')
+    log.info('💡 Make sure you are in the project directory and have git initialized')
     
     try {
-        const remotes = execSync('git remote -v', { encoding: 'utf8' })
-        console.log('\\n🔍 Git remotes:')
-        console.log(remotes)
+        const remotes = run('git remote -v', { encoding: 'utf8' })
+        log.info('\\n🔍 Git remotes:')
+        log.info(remotes)
         
-        const status = execSync('git status --porcelain=v1', { encoding: 'utf8' })
-        console.log('\\n🔍 Git status: ' + (status.trim() || 'Clean working directory'))
+        const status = run('git status --porcelain=v1', { encoding: 'utf8' })
+        log.info('\\n🔍 Git status: ' + (status.trim() || 'Clean working directory'))
         
-        const branch = execSync('git branch --show-current 2>/dev/null || echo "detached"', { 
+        const branch = run('git branch --show-current 2>/dev/null || echo "detached"', { 
             encoding: 'utf8',
             shell: true 
         }).trim()
-        console.log('🔍 Current branch:', branch || 'detached HEAD')
+        log.info('🔍 Current branch:', branch || 'detached HEAD')
         
     } catch {
-        console.log('💡 Git may not be properly initialized')
+        log.info('💡 Git may not be properly initialized')
     }
 }
 `
 }
 
 /**
- * Get the update script template with configuration
- * @param {Object} config - Configuration object
+ * Get the update script template
  * @returns {string} Script content
  */
-function getUpdateScript(config) {
+function getUpdateScript() {
     return `#!/usr/bin/env node
 /**
  * Enhanced Aether CMS updater
  * Uses the same strategy as EnhancedUpdateService
+ * Usage: node assets/js/update-aether.js [--channel <stable|beta|edge> | --to <version|tag|commit>]
+ *        [--allow-downgrade] [--dry-run] [--require-clean] [--json] [--quiet|--verbose]
+ * Uncommitted changes are stashed and restored afterwards, unless --require-clean refuses a dirty tree
+ * Migrations shipped by the template in migrations/<version>/ run once the update is merged
+ * Conflicts are written to aether-update-report.json and, in a terminal, resolved file by file
  * Generated by create-aether-cms
  */
-import { execSync } from 'child_process'
 import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import {
+    ask,
+    assertValidConfig,
+    CAN_PROMPT,
+    COMMAND_STDIO,
+    compareVersionTags,
+    CONFIG,
+    createBackup,
+    emit,
+    log,
+    parseVersionTag,
+    pruneBackups,
+    readInstalledVersion,
+    resolveUpdateTarget,
+    run,
+    step,
+} from './update-utils.js'
 
-// Configuration
-const REMOTE_NAME = '${config.remoteName || CONFIG.REMOTE_NAME}'
-const DEFAULT_BRANCH = '${config.defaultBranch || CONFIG.DEFAULT_BRANCH}'
+// Configuration, from aether.config.json
+const REPO_URL = CONFIG.repoUrl
+const REMOTE_NAME = CONFIG.remoteName
+const DEFAULT_BRANCH = CONFIG.branch
+const INSTALL_COMMAND = CONFIG.packageManager.install
+const LOCKFILES = CONFIG.packageManager.lockfiles
+const ALLOW_DOWNGRADE = process.argv.includes('--allow-downgrade')
+const DRY_RUN = process.argv.includes('--dry-run')
+const REQUIRE_CLEAN = process.argv.includes('--require-clean')
 
-console.log('🚀 Starting Aether CMS update...')
-console.log('📋 This will preserve your settings, content, and configurations')
+log.info(DRY_RUN ? '🔍 Previewing Aether CMS update (dry run)...' : '🚀 Starting Aether CMS update...')
+log.info('📋 This will preserve your settings, content, and configurations')
 
-const backupBranch = 'backup-' + Date.now()
+const REPORT_FILE = 'aether-update-report.json'
+const CONFIG_FILES = ['package.json', 'aether.config.json', '.gitattributes', '.gitignore']
+const MIGRATIONS_DIR = 'migrations'
+const SETTINGS_FILE = 'content/data/settings.json'
+
+const MERGE_DRIVERS = ${JSON.stringify(MERGE_DRIVERS, null, 4)}
+
+let backup = null
+let stash = null
+let conflictReport = null
+let updatePlan = null
+let updateTarget = null
+let appliedMigrations = []
 
 try {
-    await performSafetyChecks()
-    await prepareForUpdate()
-    await executeUpdate()
-    await finalizeUpdate()
-    
-    console.log('\\n🎉 Update completed successfully!')
-    console.log('✅ Your settings and content have been preserved')
-    console.log('🚀 Restart your application to see the changes')
-    
+    const fromCommit = run('git rev-parse HEAD', { encoding: 'utf8' }).trim()
+
+    await step('checks', performSafetyChecks)
+
+    if (DRY_RUN) {
+        const preview = await step('preview', previewUpdate)
+        log.result('\\n✅ Dry run complete, nothing was changed')
+        emit({ type: 'result', success: true, dryRun: true, fromCommit, ...preview })
+    } else {
+        await step('prepare', prepareForUpdate)
+        await step('update', executeUpdate)
+        await step('migrate', runMigrations)
+        await step('finalize', finalizeUpdate)
+
+        log.result('\\n🎉 Update completed successfully!')
+        log.info('✅ Your settings and content have been preserved')
+        log.info('🚀 Restart your application to see the changes')
+
+        const toCommit = run('git rev-parse HEAD', { encoding: 'utf8' }).trim()
+        emit({
+            type: 'result',
+            success: true,
+            fromCommit,
+            toCommit,
+            version: updateTarget?.version,
+            migrations: appliedMigrations,
+            stashConflicts: stash?.conflicts,
+        })
+    }
 } catch (error) {
-    console.error('❌ Update failed:', error.message)
-    await recoverFromFailure()
+    log.error('❌ Update failed:', error.message)
+    if (!DRY_RUN) {
+        await recoverFromFailure()
+    }
+    emit({
+        type: 'result',
+        success: false,
+        error: error.message,
+        conflicts: conflictReport?.conflicts,
+        stashConflicts: stash?.conflicts,
+    })
     process.exit(1)
 }
 
 async function performSafetyChecks() {
+    assertValidConfig()
+
     const requiredFiles = ['package.json', 'content']
     const missingFiles = requiredFiles.filter(file => !fs.existsSync(file))
     
     if (missingFiles.length > 0) {
         throw new Error(\`Missing required files/directories: \${missingFiles.join(', ')}\`)
     }
+
+    if (REQUIRE_CLEAN && getUncommittedChanges().length > 0) {
+        throw new Error('You have uncommitted changes: commit or stash them, or run without --require-clean')
+    }
+}
+
+function getUncommittedChanges() {
+    // Lockfiles are regenerated by the update, changes to them do not need to be kept
+    return run('git status --porcelain --untracked-files=all', { encoding: 'utf8' })
+        .split('\\n')
+        .filter((line) => line && !LOCKFILES.includes(line.slice(3)))
 }
 
 async function prepareForUpdate() {
+    stashChanges()
+
     // Ensure we're on the right branch
-    const currentBranch = execSync('git branch --show-current', { encoding: 'utf8' }).trim()
+    const currentBranch = run('git branch --show-current', { encoding: 'utf8' }).trim()
     if (currentBranch !== DEFAULT_BRANCH) {
-        console.log(\`🔄 Switching to \${DEFAULT_BRANCH} branch...\`)
-        execSync(\`git checkout \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
+        log.info(\`🔄 Switching to \${DEFAULT_BRANCH} branch...\`)
+        run(\`git checkout \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
     }
 
-    // Stash uncommitted changes
-    const status = execSync('git status --porcelain', { encoding: 'utf8' }).trim()
-    if (status) {
-        console.log('📦 Stashing uncommitted changes...')
-        execSync('git stash push -m "Auto-stash before update"', { stdio: 'ignore' })
-    }
-
-    // Create backup branch
-    execSync(\`git checkout -b \${backupBranch}\`, { stdio: 'ignore' })
-    execSync(\`git checkout \${DEFAULT_BRANCH}\`, { stdio: 'ignore' })
-    console.log('💾 Created backup branch:', backupBranch)
+    // Keep the current state as a backup, restored with rollback-aether
+    const from = readInstalledVersion()
+    const subject = \`Backup before updating Aether CMS from \${from.version}\`
+    const name = createBackup({ subject, details: { from } })
+    backup = { name, from }
+    log.info('💾 Created backup:', name)
 }
 
 async function executeUpdate() {
-    await ensureGitAttributes()
+    await syncGitAttributes()
     await configureGitMergeStrategy()
+    await ensureUpstreamRemote()
     await fetchAndMergeUpdates()
 }
 
-async function ensureGitAttributes() {
-    if (!fs.existsSync('.gitattributes')) {
-        const gitAttributes = \`# Aether CMS - Prevent merge conflicts
-package.json merge=ours
-package-lock.json merge=ours
-.env merge=ours
-content/data/settings.json merge=ours
-.gitignore merge=ours
-\`
+async function ensureUpstreamRemote() {
+    const normalize = (url) => url.replace(/\\.git$/, '').replace(/\\/$/, '')
+    try {
+        const upstreamUrl = run(\`git remote get-url \${REMOTE_NAME}\`, { encoding: 'utf8' }).trim()
+        if (normalize(upstreamUrl) !== normalize(REPO_URL)) {
+            run(\`git remote set-url \${REMOTE_NAME} "\${REPO_URL}"\`, { stdio: 'ignore' })
+        }
+    } catch {
+        run(\`git remote add \${REMOTE_NAME} "\${REPO_URL}"\`, { stdio: 'ignore' })
+    }
+}
+
+async function syncGitAttributes() {
+    // .gitattributes follows protectedPaths in aether.config.json; your own rules after the generated block stay
+    const current = fs.existsSync('.gitattributes') ? fs.readFileSync('.gitattributes', 'utf8') : ''
+    const gitAttributes = renderGitAttributes(CONFIG.protectedPaths, current)
+    if (gitAttributes !== current) {
         fs.writeFileSync('.gitattributes', gitAttributes)
-        execSync('git add .gitattributes', { stdio: 'ignore' })
-        execSync('git commit -m "Add gitattributes for updates"', { stdio: 'ignore' })
+        run('git add .gitattributes', { stdio: 'ignore' })
+        run('git commit -m "Sync .gitattributes with the protected paths"', { stdio: 'ignore' })
     }
 }
 
 async function configureGitMergeStrategy() {
-    execSync('git config merge.ours.driver true', { stdio: 'ignore' })
+    // The merge drivers behind the protected path strategies
+    Object.entries(MERGE_DRIVERS).forEach(([name, driver]) => {
+        run(\`git config merge.\${name}.driver "\${driver}"\`, { stdio: 'ignore' })
+    })
 }
 
 async function fetchAndMergeUpdates() {
-    console.log('📥 Fetching updates...')
-    execSync(\`git fetch \${REMOTE_NAME}\`, { stdio: 'ignore' })
-    
-    console.log('🔄 Applying updates...')
-    execSync(\`git merge \${REMOTE_NAME}/\${DEFAULT_BRANCH} --no-edit\`, { stdio: 'inherit' })
+    fetchUpdates()
+
+    const plan = planUpdate()
+    updatePlan = plan
+    updateTarget = plan.action === 'none' ? null : plan.target
+    const { action, target, installedCommit } = plan
+
+    if (action === 'none') {
+        log.info(\`✅ The installed version is already newer than \${target.name}\`)
+    } else if (action === 'merge') {
+        const source = target.channel ? \`the \${target.channel} channel (\${target.name})\` : target.name
+        log.info(\`🔄 Applying updates from \${source}...\`)
+        const suffix = target.channel ? \` (\${target.channel} channel)\` : ''
+        const message = \`Update Aether CMS to \${target.name}\${suffix}\`
+        await withConflictResolution(plan, () => {
+            run(\`git merge \${target.ref} --no-edit -m "\${message}"\`, { stdio: COMMAND_STDIO })
+        })
+    } else {
+        if (action === 'downgrade') {
+            log.warn(\`⚠️ Downgrading to \${target.name}...\`)
+        }
+        await withConflictResolution(plan, () => applyPatch(getTemplatePatch(installedCommit, target)))
+        const verb = action === 'downgrade' ? 'Downgrade' : 'Update'
+        run(\`git commit --allow-empty -m "\${verb} Aether CMS to \${target.name}"\`, { stdio: 'ignore' })
+    }
 }
 
-async function finalizeUpdate() {
-    // Regenerate package-lock.json
-    console.log('📦 Updating dependencies...')
-    if (fs.existsSync('package-lock.json')) {
-        fs.unlinkSync('package-lock.json')
+async function withConflictResolution({ action, target, installedCommit }, apply) {
+    try {
+        apply()
+    } catch (error) {
+        const files = listFiles('git diff --name-only --diff-filter=U')
+        if (files.length === 0) {
+            throw error
+        }
+
+        await resolveConflicts(files, target, installedCommit)
+        if (action === 'merge') {
+            run('git commit --no-edit', { stdio: 'ignore' })
+        }
     }
-    execSync('npm install', { stdio: 'inherit' })
+}
 
-    // Clean up backup branch
-    execSync(\`git branch -D \${backupBranch}\`, { stdio: 'ignore' })
-    
-    // Restore stashed changes if any
+async function resolveConflicts(files, target, installedCommit) {
+    const modifiedByYou = listFiles(\`git diff --name-only \${installedCommit} HEAD\`)
+    conflictReport = {
+        createdAt: new Date().toISOString(),
+        from: readInstalledVersion().version,
+        target: target.name,
+        status: 'unresolved',
+        conflicts: files.map((file) => ({
+            file,
+            category: classifyFile(file),
+            modifiedByYou: modifiedByYou.includes(file),
+            resolution: null,
+        })),
+    }
+    writeConflictReport()
+    showConflicts(conflictReport.conflicts)
+
+    if (!CAN_PROMPT) {
+        throw new Error(\`\${files.length} file(s) conflict, see \${REPORT_FILE}\`)
+    }
+
+    log.info('\\n🛠️ Resolve each file: keep (m)ine, take (u)pstream, show a three-way (d)iff, or (s)kip')
+    for (const conflict of conflictReport.conflicts) {
+        conflict.resolution = await resolveConflict(conflict)
+    }
+
+    // Commit only when everything is resolved and you agree, otherwise the backup is restored
+    const unresolved = conflictReport.conflicts.filter((conflict) => !conflict.resolution)
+    let commit = false
+    if (unresolved.length === 0) {
+        commit = (await ask('\\n✅ All conflicts resolved. Commit the update? (Y/n): ')).trim().toLowerCase() !== 'n'
+    }
+    conflictReport.status = commit ? 'committed' : 'aborted'
+    writeConflictReport()
+
+    if (unresolved.length > 0) {
+        throw new Error(\`\${unresolved.length} conflict(s) left unresolved, see \${REPORT_FILE}\`)
+    }
+    if (!commit) {
+        throw new Error('Update aborted')
+    }
+}
+
+function classifyFile(file) {
+    if (/^(content\\/)?themes\\//.test(file)) {
+        return 'theme'
+    }
+    const isConfig =
+        CONFIG_FILES.includes(file) ||
+        LOCKFILES.includes(file) ||
+        /^\\.env/.test(file) ||
+        /^content\\/data\\//.test(file) ||
+        /\\.config\\.(js|mjs|cjs|json)$/.test(file)
+    return isConfig ? 'config' : 'core'
+}
+
+function showConflicts(conflicts) {
+    const labels = { core: 'core file', theme: 'theme file', config: 'configuration' }
+    log.warn(\`\\n⚠️ \${conflicts.length} file(s) conflict:\`)
+    conflicts.forEach(({ file, category, modifiedByYou }) => {
+        log.warn(\`   \${file} (\${labels[category]}\${modifiedByYou ? ' you modified' : ''})\`)
+    })
+    log.info(\`📝 Conflict report written to \${REPORT_FILE}\`)
+}
+
+async function resolveConflict({ file }) {
+    while (true) {
+        const answer = (await ask(\`\${file} - (m)ine, (u)pstream, (d)iff, (s)kip: \`)).trim().toLowerCase()
+        if (answer === 'm' || answer === 'u') {
+            takeVersion(file, answer === 'm' ? '--ours' : '--theirs')
+            return answer === 'm' ? 'mine' : 'upstream'
+        }
+        if (answer === 's') {
+            return null
+        }
+        if (answer === 'd' && showThreeWayDiff(file)) {
+            return 'merged'
+        }
+    }
+}
+
+function takeVersion(file, side) {
     try {
-        execSync('git stash pop', { stdio: 'ignore' })
-        console.log('📦 Restored your changes')
+        run(\`git checkout \${side} -- "\${file}"\`, { stdio: 'ignore' })
+        run(\`git add -- "\${file}"\`, { stdio: 'ignore' })
     } catch {
-        // No stash to pop
+        // The file was deleted on that side
+        run(\`git rm --quiet -- "\${file}"\`, { stdio: 'ignore' })
     }
 }
 
+function showThreeWayDiff(file) {
+    // With a merge tool configured, resolving the file in it is enough
+    const hasMergeTool = run('git config --get merge.tool || true', { encoding: 'utf8', shell: true }).trim()
+    if (hasMergeTool) {
+        run(\`git mergetool --no-prompt -- "\${file}"\`, { stdio: 'inherit' })
+        return !listFiles('git diff --name-only --diff-filter=U').includes(file)
+    }
+
+    // Otherwise show the file with base, mine and upstream sections
+    run(\`git checkout --conflict=diff3 -- "\${file}"\`, { stdio: 'ignore' })
+    log.info(fs.readFileSync(file, 'utf8'))
+    return false
+}
+
+function writeConflictReport() {
+    fs.writeFileSync(REPORT_FILE, JSON.stringify(conflictReport, null, 2) + '\\n')
+
+    // Keep the report out of commits without touching your .gitignore
+    const exclude = run('git rev-parse --git-path info/exclude', { encoding: 'utf8' }).trim()
+    const excluded = fs.existsSync(exclude) ? fs.readFileSync(exclude, 'utf8') : ''
+    if (!excluded.split('\\n').includes(REPORT_FILE)) {
+        fs.mkdirSync(path.dirname(exclude), { recursive: true })
+        fs.appendFileSync(exclude, (excluded && !excluded.endsWith('\\n') ? '\\n' : '') + REPORT_FILE + '\\n')
+    }
+}
+
+function fetchUpdates() {
+    log.info('📥 Fetching updates...')
+    // Projects scaffolded from a shallow fetch need the full history to merge
+    const isShallow = run('git rev-parse --is-shallow-repository', { encoding: 'utf8' }).trim() === 'true'
+    run(\`git fetch \${isShallow ? '--unshallow ' : ''}\${REMOTE_NAME}\`, { stdio: 'ignore' })
+}
+
+function planUpdate() {
+    // Go to the exact --to target, or to what the update channel points to but never past it
+    const target = resolveUpdateTarget()
+    const installedCommit = getInstalledCommit()
+
+    // A merge changes nothing when the project already contains the target: it is older than the
+    // installed version (a downgrade), or newer but was merged before a downgrade. The template
+    // changes between the installed version and the target are applied instead
+    if (target.commit !== installedCommit && isAncestor(target.commit, 'HEAD')) {
+        const isDowngrade = isAncestor(target.commit, installedCommit)
+        if (isDowngrade && target.channel) {
+            return { action: 'none', target, installedCommit }
+        }
+        if (isDowngrade && !ALLOW_DOWNGRADE) {
+            throw new Error(\`\${target.name} is older than the installed version, use --allow-downgrade to go back\`)
+        }
+        return { action: isDowngrade ? 'downgrade' : 'apply', target, installedCommit }
+    }
+
+    return { action: 'merge', target, installedCommit }
+}
+
+async function previewUpdate() {
+    // The update is tried in a throwaway worktree: your working tree, index and branches stay untouched
+    await configureGitMergeStrategy()
+    await ensureUpstreamRemote()
+    fetchUpdates()
+
+    const { action, target, installedCommit } = planUpdate()
+    log.info(\`🎯 Target: \${target.name}\${target.channel ? \` (\${target.channel} channel)\` : ''}\`)
+    if (run('git status --porcelain', { encoding: 'utf8' }).trim()) {
+        log.info('💡 Uncommitted changes are not part of the preview')
+    }
+
+    const preview = { target: target.name, version: target.version, changedFiles: [], conflicts: [] }
+    if (action === 'none') {
+        log.info(\`✅ The installed version is already newer than \${target.name}\`)
+        return {
+            ...preview,
+            protectedFiles: getProtectedFiles([]),
+            dependencies: { added: [], removed: [], changed: [] },
+            migrations: [],
+        }
+    }
+
+    const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'aether-preview-'))
+    try {
+        run(\`git worktree add --detach "\${worktree}" HEAD\`, { stdio: 'ignore' })
+        try {
+            if (action === 'merge') {
+                run(\`git merge --no-commit --no-ff \${target.ref}\`, { cwd: worktree, stdio: 'pipe' })
+            } else {
+                applyPatch(getTemplatePatch(installedCommit, target), worktree)
+            }
+        } catch {
+            // Conflicts are listed below
+        }
+
+        preview.conflicts = listFiles('git diff --name-only --diff-filter=U', worktree)
+        preview.changedFiles = listFiles('git diff --cached --name-only HEAD', worktree).filter(
+            (file) => !preview.conflicts.includes(file)
+        )
+    } finally {
+        try {
+            run(\`git worktree remove --force "\${worktree}"\`, { stdio: 'ignore' })
+        } catch {
+            fs.rmSync(worktree, { recursive: true, force: true })
+            run('git worktree prune', { stdio: 'ignore' })
+        }
+    }
+
+    // Template files that the update leaves as they are, and the template's dependency changes
+    const templateFiles = listFiles(\`git diff --name-only \${installedCommit} \${target.commit}\`)
+    preview.protectedFiles = getProtectedFiles(templateFiles)
+    preview.dependencies = compareDependencies(installedCommit, target.commit)
+    preview.migrations =
+        action === 'downgrade' ? [] : getPendingMigrations(installedCommit, target).map((migration) => migration.id)
+
+    showPreview(preview)
+    return preview
+}
+
+function listFiles(command, cwd) {
+    return run(command, { encoding: 'utf8', cwd }).split('\\n').filter(Boolean)
+}
+
+function getProtectedFiles(files) {
+    // Grouped by protected path strategy, from the merge attribute each one sets
+    const strategies = { ours: 'ours', 'aether-json': 'json', union: 'union', theirs: 'theirs' }
+    const protectedFiles = { ours: [], json: [], union: [], theirs: [] }
+    if (files.length === 0) {
+        return protectedFiles
+    }
+    // Lines look like "package.json: merge: aether-json"
+    run('git check-attr --stdin merge', { input: files.join('\\n'), encoding: 'utf8' })
+        .split('\\n')
+        .forEach((line) => {
+            const [, file, driver] = line.match(/^(.*): merge: (\\S+)$/) || []
+            if (strategies[driver]) {
+                protectedFiles[strategies[driver]].push(file)
+            }
+        })
+    return protectedFiles
+}
+
+function compareDependencies(fromCommit, toCommit) {
+    const readDependencies = (commit) => {
+        try {
+            const content = run(\`git show \${commit}:package.json\`, { encoding: 'utf8', stdio: 'pipe' })
+            const packageJson = JSON.parse(content)
+            return { ...packageJson.dependencies, ...packageJson.devDependencies }
+        } catch {
+            return {}
+        }
+    }
+    const before = readDependencies(fromCommit)
+    const after = readDependencies(toCommit)
+
+    return {
+        added: Object.keys(after)
+            .filter((name) => !(name in before))
+            .map((name) => ({ name, version: after[name] })),
+        removed: Object.keys(before).filter((name) => !(name in after)),
+        changed: Object.keys(after)
+            .filter((name) => name in before && before[name] !== after[name])
+            .map((name) => ({ name, from: before[name], to: after[name] })),
+    }
+}
+
+function showPreview({ changedFiles, conflicts, protectedFiles, dependencies, migrations }) {
+    const showList = (title, files) => {
+        log.info(\`\\n\${title} (\${files.length}):\`)
+        files.forEach((file) => log.info('   ' + file))
+    }
+
+    showList('📄 Files that would change', changedFiles)
+    if (conflicts.length > 0) {
+        log.warn(\`\\n⚠️ Files that would conflict (\${conflicts.length}):\`)
+        conflicts.forEach((file) => log.warn('   ' + file))
+    }
+    const strategyTitles = {
+        ours: '🛡️ Changed in the template, your version is kept (merge=ours)',
+        json: '🔀 Changed in the template, merged key by key with yours (merge=aether-json)',
+        union: '🔀 Changed in the template, the lines of both versions are kept (merge=union)',
+        theirs: '📥 Changed in the template, the template version replaces yours (merge=theirs)',
+    }
+    Object.entries(strategyTitles)
+        .filter(([strategy]) => protectedFiles[strategy].length > 0)
+        .forEach(([strategy, title]) => showList(title, protectedFiles[strategy]))
+
+    const { added, removed, changed } = dependencies
+    if (added.length + removed.length + changed.length > 0) {
+        log.info('\\n📦 Dependency changes in the template package.json:')
+        added.forEach(({ name, version }) => log.info(\`   + \${name}@\${version}\`))
+        removed.forEach((name) => log.info(\`   - \${name}\`))
+        changed.forEach(({ name, from, to }) => log.info(\`   ~ \${name} \${from} → \${to}\`))
+    } else {
+        log.info('\\n📦 No dependency changes')
+    }
+
+    if (migrations.length > 0) {
+        showList('🧬 Migrations that would run', migrations)
+    }
+}
+
+function getInstalledCommit() {
+    // Recorded at install time and after every update; older projects fall back to the last merged template commit
+    try {
+        const installedCommit = JSON.parse(fs.readFileSync('package.json', 'utf8')).aetherCMS?.installedCommit
+        if (installedCommit) {
+            return installedCommit
+        }
+    } catch {
+        // Unreadable package.json
+    }
+    return run(\`git merge-base HEAD \${REMOTE_NAME}/\${CONFIG.upstreamBranch}\`, { encoding: 'utf8' }).trim()
+}
+
+function isAncestor(commit, descendant) {
+    try {
+        run(\`git merge-base --is-ancestor \${commit} \${descendant}\`, { stdio: 'ignore' })
+        return true
+    } catch {
+        return false
+    }
+}
+
+function getTemplatePatch(installedCommit, target) {
+    // The template changes between the installed version and the target, without
+    // the paths protected with the ours strategy
+    const excludes = getProtectedPaths().map((pattern) => \`":(exclude,glob)\${pattern}"\`).join(' ')
+    return run(\`git diff --binary \${installedCommit} \${target.commit} -- . \${excludes}\`, {
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+    })
+}
+
+function applyPatch(patch, cwd) {
+    if (patch.trim()) {
+        run('git apply --3way --index', { input: patch, stdio: 'pipe', cwd })
+    }
+}
+
+function getProtectedPaths() {
+    // As pathspec globs: in .gitattributes, a pattern without a slash matches at any depth
+    return CONFIG.protectedPaths
+        .filter(({ strategy }) => strategy === 'ours')
+        .map(({ path: pattern }) => (pattern.includes('/') ? pattern.replace(/^\\//, '') : '**/' + pattern))
+}
+
+async function runMigrations() {
+    if (!updateTarget || updatePlan.action === 'downgrade') {
+        return
+    }
+    const migrations = getPendingMigrations(updatePlan.installedCommit, updateTarget)
+    if (migrations.length === 0) {
+        return
+    }
+
+    // Restored if a migration fails, including the files git does not track
+    log.info(\`🧬 Running \${migrations.length} migration(s)...\`)
+    const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aether-migrations-'))
+    fs.cpSync('content', path.join(backupDir, 'content'), { recursive: true })
+
+    let current = null
+    try {
+        for (current of migrations) {
+            log.info(\`   \${current.id}\`)
+            await runMigration(current, backupDir)
+            appliedMigrations.push(current.id)
+        }
+    } catch (error) {
+        fs.rmSync('content', { recursive: true, force: true })
+        fs.cpSync(path.join(backupDir, 'content'), 'content', { recursive: true })
+        appliedMigrations = []
+        throw new Error(\`Migration \${current.id} failed: \${error.message}\`)
+    } finally {
+        fs.rmSync(backupDir, { recursive: true, force: true })
+    }
+
+    // Applied migrations never run again, whatever version is installed later
+    const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'))
+    const metadata = packageJson.aetherCMS || {}
+    packageJson.aetherCMS = {
+        ...metadata,
+        appliedMigrations: [...(metadata.appliedMigrations || []), ...appliedMigrations],
+    }
+    fs.writeFileSync('package.json', JSON.stringify(packageJson, null, 2))
+    run('git add --all content package.json', { stdio: 'ignore' })
+    run(\`git commit -m "Apply Aether CMS migrations for \${updateTarget.version}"\`, { stdio: 'ignore' })
+    log.info(\`✅ Applied \${appliedMigrations.length} migration(s)\`)
+}
+
+function getPendingMigrations(installedCommit, target) {
+    // migrations/<version>/<name>.js in the target, newer than the installed version and not newer than the target
+    const applied = JSON.parse(fs.readFileSync('package.json', 'utf8')).aetherCMS?.appliedMigrations || []
+    const from = getInstalledRelease(installedCommit)
+    const to = parseVersionTag(target.version) ? target.version : null
+
+    return listFiles(\`git ls-tree -r --name-only \${target.commit} -- \${MIGRATIONS_DIR}\`)
+        .map((file) => {
+            const [, version, name] = file.match(/^[^/]+\\/([^/]+)\\/([^/]+\\.m?js)$/) || []
+            return { id: \`\${version}/\${name}\`, file, version, name, commit: target.commit }
+        })
+        .filter(({ version, id }) => version && parseVersionTag(version) && !applied.includes(id))
+        .filter(({ version }) => (!from || compareVersionTags(version, from) > 0))
+        .filter(({ version }) => (!to || compareVersionTags(version, to) <= 0))
+        .sort((a, b) => compareVersionTags(a.version, b.version) || a.name.localeCompare(b.name))
+}
+
+function getInstalledRelease(installedCommit) {
+    // An installed commit (edge channel, --to <commit>) counts as the newest release it contains
+    const installed = readInstalledVersion().version
+    if (installed && parseVersionTag(installed)) {
+        return installed
+    }
+    const releases = listFiles(\`git tag --merged \${installedCommit}\`).filter((tag) => parseVersionTag(tag))
+    return releases.sort(compareVersionTags).pop() || null
+}
+
+async function runMigration(migration, workDir) {
+    // Migrations are read from the template commit, so they run even when the project has no migrations folder
+    const file = path.join(workDir, migration.id.replace('/', '-').replace(/\\.m?js$/, '.mjs'))
+    fs.writeFileSync(file, run(\`git show \${migration.commit}:\${migration.file}\`, { encoding: 'utf8' }))
+    const { default: migrate } = await import(pathToFileURL(file).href)
+    if (typeof migrate !== 'function') {
+        throw new Error(\`\${migration.id} has no default export function\`)
+    }
+
+    const settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'))
+    const result = await migrate({ settings, contentDir: path.resolve('content'), log })
+    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(result || settings, null, 2))
+}
+
+function recordInstalledVersion(target) {
+    // Keep aetherCMS.installedVersion/installedCommit in package.json truthful
+    const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'))
+    const metadata = packageJson.aetherCMS || {}
+    const isNewVersion =
+        target && (metadata.installedVersion !== target.version || metadata.installedCommit !== target.commit)
+    if (isNewVersion) {
+        packageJson.aetherCMS = {
+            ...metadata,
+            installedVersion: target.version,
+            installedCommit: target.commit,
+            updatedAt: new Date().toISOString(),
+        }
+        fs.writeFileSync('package.json', JSON.stringify(packageJson, null, 2))
+    }
+
+    // The regenerated lockfile is committed too, so that every backup can reinstall its exact dependencies
+    const lockfiles = listFiles(\`git ls-files --cached --others --exclude-standard -- \${LOCKFILES.join(' ')}\`)
+    run(\`git add -- package.json \${lockfiles.join(' ')}\`, { stdio: 'ignore' })
+    if (listFiles('git diff --cached --name-only').length === 0) {
+        return
+    }
+
+    const message = isNewVersion ? \`Record Aether CMS \${target.version}\` : 'Update the lockfile'
+    run(\`git commit -m "\${message}"\`, { stdio: 'ignore' })
+    if (isNewVersion) {
+        log.info(\`📝 Recorded \${target.version} as the installed version\`)
+    }
+}
+
+async function finalizeUpdate() {
+    // Regenerate the lockfile
+    log.info('📦 Updating dependencies...')
+    LOCKFILES.filter((lockfile) => fs.existsSync(lockfile)).forEach((lockfile) => fs.unlinkSync(lockfile))
+    run(INSTALL_COMMAND, { stdio: COMMAND_STDIO })
+
+    recordInstalledVersion(updateTarget)
+
+    // Record where the update went in the backup, and only keep the most recent backups
+    const to = readInstalledVersion()
+    createBackup({
+        name: backup.name,
+        subject: \`Backup before updating Aether CMS from \${backup.from.version} to \${to.version}\`,
+        details: { from: backup.from, to },
+    })
+    pruneBackups()
+
+    restoreStash()
+}
+
 async function recoverFromFailure() {
-    console.log('🔄 Attempting to restore from backup...')
-    
+    if (backup) {
+        restoreFromBackup()
+    }
+    restoreStash()
+}
+
+function restoreFromBackup() {
+    log.info('🔄 Attempting to restore from backup...')
+
     try {
-        execSync('git merge --abort', { stdio: 'ignore' })
-        execSync(\`git reset --hard \${backupBranch}\`, { stdio: 'ignore' })
-        execSync(\`git branch -D \${backupBranch}\`, { stdio: 'ignore' })
-        console.log('✅ Restored from backup - your project is safe')
+        try {
+            run('git merge --abort', { stdio: 'ignore' })
+        } catch {
+            // No merge in progress (e.g. a failed downgrade)
+        }
+        run(\`git reset --hard \${backup.name}\`, { stdio: 'ignore' })
+        // The project is back to the backed up state, the backup is not needed anymore
+        run(\`git tag -d \${backup.name}\`, { stdio: 'ignore' })
+        log.info('✅ Restored from backup - your project is safe')
     } catch (restoreError) {
-        console.error('❌ Could not restore automatically')
-        console.log('💡 Run: git branch -a to see available branches and restore manually')
+        log.error('❌ Could not restore automatically')
+        log.info(\`💡 Run: git reset --hard \${backup.name} to restore manually\`)
+    }
+}
+
+function stashChanges() {
+    const changes = getUncommittedChanges()
+    if (changes.length === 0) {
+        return
+    }
+
+    // A unique message identifies our entry, whatever else is on the stash
+    const message = \`Aether CMS update \${new Date().toISOString()} (\${process.pid})\`
+    const pathspecs = LOCKFILES.map((lockfile) => \`":(exclude)\${lockfile}"\`).join(' ')
+    log.info('📦 Stashing uncommitted changes...')
+    run(\`git stash push --include-untracked -m "\${message}" -- . \${pathspecs}\`, { stdio: 'ignore' })
+
+    const [commit, subject] = run('git stash list -1 --format=%H%x09%s', { encoding: 'utf8' }).trim().split('\\t')
+    if (!subject?.endsWith(message)) {
+        throw new Error('Could not stash your uncommitted changes')
+    }
+    stash = { commit, message }
+}
+
+function restoreStash() {
+    if (!stash || stash.restored) {
+        return
+    }
+    stash.restored = true
+
+    // The entry may have moved down the stash list, find it by commit
+    const index = run('git stash list --format=%H', { encoding: 'utf8' }).split('\\n').indexOf(stash.commit)
+    if (index === -1) {
+        log.warn(\`⚠️ Your stashed changes are no longer on the stash list (\${stash.message})\`)
+        return
+    }
+    const ref = \`stash@{\${index}}\`
+
+    try {
+        run(\`git stash apply \${stash.commit}\`, { stdio: 'pipe' })
+    } catch (error) {
+        stash.conflicts = run('git diff --name-only --diff-filter=U', { encoding: 'utf8' })
+            .split('\\n')
+            .filter(Boolean)
+        if (stash.conflicts.length > 0) {
+            log.warn('⚠️ Your uncommitted changes conflict with the update in:')
+            stash.conflicts.forEach((file) => log.warn(\`   \${file}\`))
+            log.info(\`💡 Resolve the conflict markers, then run: git stash drop \${ref}\`)
+        } else {
+            const reason = error.stderr?.toString().trim() || error.message
+            log.warn(\`⚠️ Could not restore your uncommitted changes: \${reason}\`)
+            log.info(\`💡 They are kept as \${ref} (\${stash.message})\`)
+        }
+        return
+    }
+
+    run(\`git stash drop \${ref}\`, { stdio: 'ignore' })
+    log.info('📦 Restored your uncommitted changes')
+}
+
+${renderGitAttributes}
+`
+}
+
+/**
+ * Get the rollback script template
+ * @returns {string} Script content
+ */
+function getRollbackScript() {
+    return `#!/usr/bin/env node
+/**
+ * Aether CMS rollback: restore a backup created by update-aether
+ * Usage: node assets/js/rollback-aether.js [<number|backup name>] [--list] [--json] [--quiet|--verbose]
+ * Without a backup, lists the backups and asks which one to restore
+ * Generated by create-aether-cms
+ */
+import fs from 'fs'
+import {
+    ask,
+    CAN_PROMPT,
+    COMMAND_STDIO,
+    CONFIG,
+    createBackup,
+    emit,
+    listBackups,
+    log,
+    pruneBackups,
+    readInstalledVersion,
+    run,
+    step,
+} from './update-utils.js'
+
+const LOCKFILES = CONFIG.packageManager.lockfiles
+const args = process.argv.slice(2)
+const selection = args.find((arg) => !arg.startsWith('--'))
+
+try {
+    const result = await rollback()
+    emit({ type: 'result', success: true, ...result })
+} catch (error) {
+    log.error('❌ Rollback failed:', error.message)
+    emit({ type: 'result', success: false, error: error.message })
+    process.exit(1)
+}
+
+async function rollback() {
+    const backups = listBackups()
+    if (backups.length === 0) {
+        log.result('📭 No backups yet: update-aether creates one before every update')
+        return { backups, restored: null }
+    }
+
+    showBackups(backups)
+    if (args.includes('--list') || (!selection && !CAN_PROMPT)) {
+        return { backups, restored: null }
+    }
+
+    const backup = selection ? findBackup(backups, selection) : await askForBackup(backups)
+    if (!backup) {
+        log.result('Rollback cancelled')
+        return { backups, restored: null }
+    }
+
+    const safetyBackup = await step('restore', () => restoreBackup(backup))
+    try {
+        await step('install', reinstallDependencies)
+    } catch (error) {
+        undoRestore(safetyBackup)
+        throw error
+    }
+    pruneBackups()
+
+    log.result(\`\\n✅ Restored \${backup.name}\${backup.from?.version ? \` (\${backup.from.version})\` : ''}\`)
+    log.info(\`💡 The state before the rollback was saved as \${safetyBackup}\`)
+    log.info('🚀 Restart your application to see the changes')
+    return { backups, restored: backup.name, backup: safetyBackup }
+}
+
+function showBackups(backups) {
+    log.info('💾 Backups (newest first):')
+    backups.forEach((backup, index) => {
+        const from = backup.from?.version || 'unknown'
+        const versions = backup.to ? \`\${from} → \${backup.to.version}\` : from
+        const date = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : ''
+        log.info(\`  \${index + 1}. \${backup.name}  \${versions}  \${date}\`)
+    })
+}
+
+function findBackup(backups, value) {
+    const backup = /^\\d+$/.test(value)
+        ? backups[Number(value) - 1]
+        : backups.find((candidate) => candidate.name === value || candidate.name.endsWith('/' + value))
+    if (!backup) {
+        throw new Error(\`Backup '\${value}' not found\`)
+    }
+    return backup
+}
+
+async function askForBackup(backups) {
+    const answer = (await ask(\`\\nBackup to restore (1-\${backups.length}, Enter to cancel): \`)).trim()
+    return answer ? findBackup(backups, answer) : null
+}
+
+function restoreBackup(backup) {
+    // Lockfiles are regenerated by updates, other changes would be lost
+    const changes = run('git status --porcelain', { encoding: 'utf8' })
+        .split('\\n')
+        .filter((line) => line && !LOCKFILES.includes(line.slice(3)))
+    if (changes.length > 0) {
+        throw new Error('You have uncommitted changes: commit or stash them before rolling back')
+    }
+
+    // The current state becomes a backup too, so the rollback can be undone
+    const current = readInstalledVersion()
+    const safetyBackup = createBackup({
+        subject: \`Backup before rolling back Aether CMS to \${backup.name}\`,
+        details: { from: current, to: backup.from || null },
+    })
+
+    log.info(\`🔄 Restoring \${backup.name}...\`)
+    run(\`git reset --hard \${backup.commit}\`, { stdio: 'ignore' })
+    return safetyBackup
+}
+
+function undoRestore(safetyBackup) {
+    // Without its dependencies the restored state is unusable: go back to where the rollback started
+    log.warn(\`↩️ Could not reinstall dependencies, going back to \${safetyBackup}...\`)
+    run(\`git reset --hard \${safetyBackup}\`, { stdio: 'ignore' })
+    run(\`git tag -d \${safetyBackup}\`, { stdio: 'ignore' })
+    try {
+        reinstallDependencies()
+    } catch {
+        log.info(\`💡 Run \${CONFIG.packageManager.install} to reinstall the dependencies\`)
+    }
+}
+
+function reinstallDependencies() {
+    // Install exactly what the restored lockfile lists, or resolve again when lockfiles are not committed
+    const lockfile = LOCKFILES.find((file) => run(\`git ls-files -- \${file}\`, { encoding: 'utf8' }).trim())
+    if (lockfile) {
+        log.info(\`📦 Reinstalling dependencies from \${lockfile}...\`)
+        try {
+            run(CONFIG.packageManager.ci, { stdio: COMMAND_STDIO })
+        } catch {
+            // Backups made before lockfiles were committed with each update
+            log.warn(\`⚠️ \${lockfile} does not match package.json, resolving the dependencies again...\`)
+            run(CONFIG.packageManager.install, { stdio: COMMAND_STDIO })
+        }
+    } else {
+        log.info('📦 Reinstalling dependencies...')
+        LOCKFILES.filter((file) => fs.existsSync(file)).forEach((file) => fs.unlinkSync(file))
+        run(CONFIG.packageManager.install, { stdio: COMMAND_STDIO })
+    }
+}
+`
+}
+
+/**
+ * Get the three-way JSON merge driver template
+ * @returns {string} Script content
+ */
+function getMergeJsonScript() {
+    return `#!/usr/bin/env node
+/**
+ * Aether CMS three-way merge driver for package.json and content/data/settings.json
+ * Git runs it as: node assets/js/merge-json.js <base> <yours> <upstream> <path>
+ * A key changed on one side only takes that change; a key changed differently on both sides keeps
+ * your value and is reported as a conflict. The fields that identify your project are always yours.
+ * Generated by create-aether-cms
+ */
+import fs from 'fs'
+
+// Fields that belong to the project, never taken from the template
+const PROJECT_FIELDS = {
+    'package.json': ['name', 'version', 'private', 'aetherCMS'],
+}
+
+const [basePath, oursPath, theirsPath, filePath = oursPath] = process.argv.slice(2)
+const projectFields = PROJECT_FIELDS[filePath] || []
+const conflicts = []
+
+try {
+    const text = fs.readFileSync(oursPath, 'utf8')
+    const base = readJson(basePath) || {}
+    const theirs = JSON.parse(fs.readFileSync(theirsPath, 'utf8'))
+    const merged = mergeValues(base, JSON.parse(text), theirs, [])
+
+    // Keep the indentation and final newline of your file
+    const indent = /^\\{\\r?\\n([ \\t]+)/.exec(text)?.[1] || 2
+    fs.writeFileSync(oursPath, JSON.stringify(merged, null, indent) + (text.endsWith('\\n') ? '\\n' : ''))
+} catch (error) {
+    console.error(\`⚠️ \${filePath}: could not merge as JSON (\${error.message}), kept your version\`)
+    process.exit(1)
+}
+
+if (conflicts.length > 0) {
+    console.error(\`⚠️ \${filePath}: \${conflicts.length} key(s) changed on both sides, kept your values:\`)
+    conflicts.forEach(({ key, ours, theirs }) => {
+        console.error(\`   \${key}: yours \${JSON.stringify(ours)}, upstream \${JSON.stringify(theirs)}\`)
+    })
+    process.exit(1)
+}
+
+function readJson(file) {
+    // The base is empty when both sides added the file
+    const text = fs.readFileSync(file, 'utf8')
+    return text.trim() ? JSON.parse(text) : null
+}
+
+function mergeValues(base, ours, theirs, keyPath) {
+    if (isEqual(ours, theirs) || isEqual(theirs, base)) {
+        return ours
+    }
+    if (isEqual(ours, base)) {
+        return theirs
+    }
+    if (isObject(ours) && isObject(theirs)) {
+        return mergeObjects(isObject(base) ? base : {}, ours, theirs, keyPath)
+    }
+
+    conflicts.push({ key: keyPath.join('.'), ours, theirs })
+    return ours
+}
+
+function mergeObjects(base, ours, theirs, keyPath) {
+    // Your keys in your order, then the keys upstream added; dependency lists stay sorted
+    const keys = [...new Set([...Object.keys(ours), ...Object.keys(theirs)])]
+    if (/dependencies$/i.test(keyPath[keyPath.length - 1])) {
+        keys.sort()
+    }
+
+    const merged = {}
+    keys.forEach((key) => {
+        const isProjectField = keyPath.length === 0 && projectFields.includes(key)
+        const value = isProjectField ? ours[key] : mergeValues(base[key], ours[key], theirs[key], [...keyPath, key])
+        if (value !== undefined) {
+            merged[key] = value
+        }
+    })
+    return merged
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
+`
+}
+
+/**
+ * Get the helpers shared by the update scripts: the project configuration
+ * and --json, --quiet and --verbose output
+ * @returns {string} Script content
+ */
+function getUpdateUtilsScript() {
+    return `/**
+ * Helpers shared by the Aether CMS update scripts
+ * CONFIG: repository, remote, branches, package manager and protected paths from aether.config.json
+ * --channel <stable|beta|edge>: update channel for this run (default: updateChannel in settings.json)
+ * --json: newline-delimited JSON events on stdout (command output goes to stderr)
+ * --quiet: only warnings and errors; --verbose: also debug messages and commands
+ * Generated by create-aether-cms
+ */
+import fs from 'fs'
+import readline from 'readline'
+import { execSync } from 'child_process'
+
+const PACKAGE_MANAGERS = ${JSON.stringify(PACKAGE_MANAGERS, null, 4)}
+
+const UPDATE_CHANNELS = ${JSON.stringify(UPDATE_CHANNELS)}
+
+const PROTECTED_PATH_STRATEGIES = ${JSON.stringify(PROTECTED_PATH_STRATEGIES)}
+
+const args = process.argv.slice(2)
+
+// aether.config.json first, then the metadata of projects created before it existed
+export const CONFIG = readConfig()
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch {
+        return null
+    }
+}
+
+function readConfig() {
+    const config = readJson('aether.config.json') || {}
+    const metadata = readJson('package.json')?.aetherCMS || {}
+    const settings = readJson('content/data/settings.json') || {}
+
+    const packageManager = PACKAGE_MANAGERS[config.use || metadata.packageManager] || PACKAGE_MANAGERS.npm
+
+    return {
+        repoUrl: config.repo || metadata.repoUrl || ${JSON.stringify(CONFIG.REPO_URL)},
+        remoteName: config.remoteName || '${CONFIG.REMOTE_NAME}',
+        branch: config.branch || '${CONFIG.DEFAULT_BRANCH}',
+        upstreamBranch: config.upstreamBranch || '${CONFIG.DEFAULT_BRANCH}',
+        packageManager,
+        channel: getArgument('--channel') || settings.updateSettings?.updateChannel || 'stable',
+        backupRetention: settings.updateSettings?.backupRetention ?? 5,
+        protectedPaths: config.protectedPaths || getDefaultProtectedPaths(packageManager.lockfiles),
+    }
+}
+
+${getDefaultProtectedPaths}
+
+// aether.config.json is edited by hand: an invalid entry would be written to .gitattributes as is
+export function assertValidConfig() {
+    const errors = findProtectedPathErrors(CONFIG.protectedPaths)
+    if (errors.length > 0) {
+        throw new Error(\`Invalid aether.config.json:\\n  - \${errors.join('\\n  - ')}\`)
+    }
+}
+
+${findProtectedPathErrors}
+
+function getArgument(name) {
+    const index = args.indexOf(name)
+    return index === -1 ? null : args[index + 1]
+}
+
+export const OUTPUT = {
+    json: args.includes('--json'),
+    level: args.includes('--quiet') ? 'quiet' : args.includes('--verbose') ? 'verbose' : 'normal',
+}
+
+const LEVELS = { quiet: 0, normal: 1, verbose: 2 }
+
+// stdio for commands whose output is shown (merge, install)
+export const COMMAND_STDIO = OUTPUT.json ? ['ignore', 2, 2] : OUTPUT.level === 'quiet' ? 'pipe' : 'inherit'
+
+export function emit(event) {
+    if (OUTPUT.json) {
+        process.stdout.write(JSON.stringify(event) + '\\n')
+    }
+}
+
+function write(level, minimum, parts) {
+    if (LEVELS[OUTPUT.level] < minimum) {
+        return
+    }
+
+    const message = parts.map((part) => (part instanceof Error ? part.message : String(part))).join(' ')
+    if (OUTPUT.json) {
+        emit({ type: 'log', level, message })
+    } else if (level === 'error') {
+        console.error(message)
+    } else if (level === 'warn') {
+        console.warn(message)
+    } else {
+        console.log(message)
+    }
+}
+
+export const log = {
+    debug: (...parts) => write('debug', LEVELS.verbose, parts),
+    info: (...parts) => write('info', LEVELS.normal, parts),
+    // The outcome, shown even with --quiet
+    result: (...parts) => write('info', LEVELS.quiet, parts),
+    warn: (...parts) => write('warn', LEVELS.quiet, parts),
+    error: (...parts) => write('error', LEVELS.quiet, parts),
+}
+
+// Questions are only asked in a terminal, never with --json
+export const CAN_PROMPT = Boolean(process.stdin.isTTY) && !OUTPUT.json
+
+export async function ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+    try {
+        return await new Promise((resolve) => rl.question(question, resolve))
+    } finally {
+        rl.close()
+    }
+}
+
+export function run(command, options) {
+    log.debug('$ ' + command)
+    return execSync(command, options)
+}
+
+// What to update to: the exact --to <version|tag|commit>, or what the update channel points to:
+// the newest release tag (stable), release or prerelease tag (beta), or the upstream branch (edge).
+// version is what package.json records as aetherCMS.installedVersion
+export function resolveUpdateTarget() {
+    const { channel, remoteName, upstreamBranch } = CONFIG
+    const to = getArgument('--to')
+
+    if (!to && !UPDATE_CHANNELS.includes(channel)) {
+        throw new Error(\`Unknown update channel '\${channel}'. Use one of: \${UPDATE_CHANNELS.join(', ')}\`)
+    }
+
+    if (!to && channel === 'edge') {
+        const commit = resolveCommit(\`\${remoteName}/\${upstreamBranch}\`)
+        return { channel, ref: commit, name: upstreamBranch, version: commit.substring(0, 7), commit }
+    }
+
+    run(\`git fetch --tags \${remoteName}\`, { stdio: 'ignore' })
+
+    if (to) {
+        // A tag, a version written with or without its "v", or a commit
+        const tag = [to, 'v' + to].find((name) => resolveCommit(\`refs/tags/\${name}\`))
+        const commit = resolveCommit(tag ? \`refs/tags/\${tag}\` : to)
+        if (!commit) {
+            throw new Error(\`Version, tag or commit '\${to}' not found on \${remoteName}\`)
+        }
+        return { channel: null, ref: commit, name: tag || to, version: tag || to, commit }
+    }
+
+    const tags = run('git tag --list', { encoding: 'utf8' }).split('\\n').filter(Boolean)
+    const tag = selectChannelTag(tags, channel)
+    if (!tag) {
+        throw new Error(\`No \${channel} release found on \${remoteName}\`)
+    }
+
+    const commit = resolveCommit(\`refs/tags/\${tag}\`)
+    return { channel, ref: \`refs/tags/\${tag}\`, name: tag, version: tag, commit }
+}
+
+function resolveCommit(ref) {
+    try {
+        return run(\`git rev-parse --verify --quiet "\${ref}^{commit}"\`, { encoding: 'utf8', stdio: 'pipe' }).trim()
+    } catch {
+        return null
+    }
+}
+
+// The version recorded in package.json at install time and after every update
+export function readInstalledVersion() {
+    const metadata = readJson('package.json')?.aetherCMS || {}
+    return { version: metadata.installedVersion || null, commit: metadata.installedCommit || null }
+}
+
+// Backups are annotated tags: a readable subject, then the details as one line of JSON
+const BACKUP_PREFIX = 'aether-backup/'
+
+export function createBackup({ name, subject, details }) {
+    const now = new Date().toISOString()
+    const tag = name || BACKUP_PREFIX + now.slice(0, 23).replace(/[:.]/g, '-')
+    const existing = name ? listBackups().find((backup) => backup.name === name) : null
+    const message = \`\${subject}\\n\\n\${JSON.stringify({ createdAt: existing?.createdAt || now, ...details })}\\n\`
+
+    // Updating a backup keeps the commit it points to
+    const target = existing ? \`-f \${tag} \${existing.commit}\` : \`\${tag} HEAD\`
+    run(\`git tag -a \${target} -F -\`, { input: message, stdio: 'pipe' })
+    return tag
+}
+
+// Newest first
+export function listBackups() {
+    const format = '%(refname:short)%09%(*objectname)%09%(contents:subject)%09%(contents:body)'
+    const command = \`git for-each-ref --sort=-refname --format="\${format}" refs/tags/\${BACKUP_PREFIX}\`
+    return run(command, { encoding: 'utf8' })
+        .split('\\n')
+        .filter(Boolean)
+        .map((line) => {
+            const [name, commit, subject, body] = line.split('\\t')
+            let details = {}
+            try {
+                details = JSON.parse(body)
+            } catch {
+                // A backup tag written by hand
+            }
+            return { name, commit, subject, ...details }
+        })
+}
+
+// Delete the backups beyond updateSettings.backupRetention in settings.json
+export function pruneBackups() {
+    const outdated = listBackups().slice(CONFIG.backupRetention)
+    outdated.forEach((backup) => run(\`git tag -d \${backup.name}\`, { stdio: 'ignore' }))
+    if (outdated.length > 0) {
+        log.info(\`🧹 Removed \${outdated.length} old backup(s), keeping \${CONFIG.backupRetention}\`)
+    }
+    return outdated.map((backup) => backup.name)
+}
+
+export ${parseVersionTag}
+
+export ${compareVersionTags}
+
+${selectChannelTag}
+
+export async function step(name, action) {
+    emit({ type: 'step', step: name, status: 'start' })
+    try {
+        const result = await action()
+        emit({ type: 'step', step: name, status: 'done' })
+        return result
+    } catch (error) {
+        emit({ type: 'step', step: name, status: 'failed' })
+        throw error
     }
 }
 `
@@ -373,9 +1574,10 @@ function makeScriptsExecutable(scriptsDir) {
 /**
  * Validate that generated scripts are syntactically correct
  * @param {string} targetPath - The project directory
+ * @param {Object} [log] - Logger
  * @returns {boolean} Whether scripts are valid
  */
-export function validateGeneratedScripts(targetPath) {
+export function validateGeneratedScripts(targetPath, log = defaultLogger) {
     const scriptsDir = path.join(targetPath, CONFIG.SCRIPTS_DIR)
 
     try {
@@ -391,7 +1593,7 @@ export function validateGeneratedScripts(targetPath) {
 
         return true
     } catch (error) {
-        console.error("❌ Script validation failed:", error.message)
+        log.error("❌ Script validation failed:", error.message)
         return false
     }
 }
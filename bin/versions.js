@@ -0,0 +1,87 @@
+/**
+ * @file Semantic version tags and update channels.
+ * The functions are self-contained: the generated update scripts embed their source.
+ * @module versions
+ */
+
+/**
+ * Update channels: stable follows release tags, beta also prerelease tags, edge the upstream branch
+ */
+export const UPDATE_CHANNELS = ["stable", "beta", "edge"]
+
+/**
+ * Parse a semantic version tag such as v1.2.0 or 1.3.0-beta.1
+ * @param {string} tag - The tag name
+ * @returns {{major: number, minor: number, patch: number, prerelease: string[]}|null} null when the
+ * tag is not a version
+ */
+export function parseVersionTag(tag) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(tag)
+    if (!match) {
+        return null
+    }
+
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split(".") : [],
+    }
+}
+
+/**
+ * Compare two version tags by semver precedence, usable with Array.prototype.sort
+ * @param {string} a - A version tag
+ * @param {string} b - Another version tag
+ * @returns {number} Negative when a is older than b, positive when newer, 0 when equal
+ */
+export function compareVersionTags(a, b) {
+    const left = parseVersionTag(a)
+    const right = parseVersionTag(b)
+
+    for (const part of ["major", "minor", "patch"]) {
+        if (left[part] !== right[part]) {
+            return left[part] - right[part]
+        }
+    }
+
+    // A release is newer than its prereleases
+    if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+        return right.prerelease.length - left.prerelease.length
+    }
+
+    for (let i = 0; i < Math.max(left.prerelease.length, right.prerelease.length); i++) {
+        const x = left.prerelease[i]
+        const y = right.prerelease[i]
+        if (x === undefined || y === undefined) {
+            return x === undefined ? -1 : 1
+        }
+        if (x !== y) {
+            const xNumeric = /^\d+$/.test(x)
+            const yNumeric = /^\d+$/.test(y)
+            if (xNumeric && yNumeric) {
+                return Number(x) - Number(y)
+            }
+            // Numeric identifiers are older than alphanumeric ones
+            return xNumeric ? -1 : yNumeric ? 1 : x < y ? -1 : 1
+        }
+    }
+
+    return 0
+}
+
+/**
+ * Pick the newest tag of a channel: the latest release for stable, the latest
+ * release or prerelease for beta. Tags that are not versions are ignored.
+ * @param {string[]} tags - Tag names
+ * @param {string} channel - "stable" or "beta"
+ * @returns {string|null} The tag, or null when the channel has none
+ */
+export function selectChannelTag(tags, channel) {
+    const candidates = tags.filter((tag) => {
+        const version = parseVersionTag(tag)
+        return version !== null && (channel === "beta" || version.prerelease.length === 0)
+    })
+
+    return candidates.sort(compareVersionTags).pop() || null
+}